@@ -10,9 +10,12 @@
 const Opcode = {
   GET_CONST: 0,
 
-  DEF_VARIABLE: 1,
-  GET_VARIABLE: 2,
-  SET_VARIABLE: 3,
+  GET_GLOBAL: 1,
+  SET_GLOBAL: 2,
+  GET_LOCAL: 3,
+  SET_LOCAL: 50,
+  GET_UPVALUE: 51,
+  SET_UPVALUE: 52,
 
   TRUE: 4,
   FALSE: 5,
@@ -34,8 +37,8 @@ const Opcode = {
   FLOOR_DIV: 18,
   MOD: 19,
 
-  AND: 20,
-  OR: 21,
+  STACK_SIZE: 20,
+  RESTORE_STACK: 21,
 
   NEGATE: 22,
   NOT: 23,
@@ -52,8 +55,81 @@ const Opcode = {
   IS: 30,
 
   IMPORT: 31,
+
+  BUILD_ARRAY: 32,
+  BUILD_DICT: 33,
+
+  ITER: 34,
+  LEN: 35,
+
+  CLOSURE: 36,
+  CALL_VALUE: 37,
+
+  JUMP_IF_TRUE: 38,
+
+  COMPARE_CHAIN: 39,
+
+  BIT_AND: 40,
+  BIT_OR: 41,
+  BIT_XOR: 42,
+  BIT_NOT: 43,
+  SHIFT_LEFT: 44,
+  SHIFT_RIGHT: 45,
+
+  SET_CONST: 46,
+
+  BUILD_STRING: 47,
+
+  PUSH_SCOPE: 48,
+  POP_SCOPE: 49,
+
+  LOOP: 53,
+
+  TRY: 54,
+  END_TRY: 55,
+  THROW: 56,
+
+  TAIL_CALL: 57,
+  TAIL_CALL_VALUE: 58,
+
+  JUMP_IF_PASSED: 59,
+
+  BUILD_LIST: 60,
+
+  SET_DOT: 61,
 };
 
+/* Quote forms, by the shorthand abbreviating them ('x is (quote x)) */
+const QUOTE_SHORTHANDS = new Map([
+  ["'", "quote"],
+  ["`", "quasiquote"],
+  [",", "unquote"],
+  [",@", "unquote-splicing"],
+]);
+
+/* Returns the value of a token when it's quoted: literals are their values,
+ * and everything else (names, keywords and operators) is a symbol
+ */
+function quotedToken(token) {
+  switch (token.getType()) {
+    case TokenType.STRING:
+      return new StringValue(token.getLexeme());
+    case TokenType.NUMBER:
+      return new NumberValue(token.getLexeme());
+    case TokenType.TRUE:
+      return new BoolValue(true);
+    case TokenType.FALSE:
+      return new BoolValue(false);
+    case TokenType.UNDEFINED:
+      return new UndefinedValue();
+  }
+
+  return new SymbolValue(token.getLexeme());
+}
+
+/* Name of the main program's module (other modules are named after their file) */
+const MAIN_MODULE = "main";
+
 /* Compiler
  * Responsible for transforming a stream of Tokens into Opcodes
  */
@@ -65,12 +141,102 @@ class Compiler {
 
   #constants = [];
   #opcodes = [];
+  #lines = [];
+
+  /* Globals, by name. Each one has a slot in the VM's table of globals, and is
+   * either a variable or a constant
+   *
+   * Names which are used but never declared also get one, since they might be
+   * declared later on, imported or built-in
+   */
+  #globals = new Map();
+
+  /* Assignments to globals, which are checked once the whole program has been
+   * compiled (since a global might only be declared as a constant after a
+   * function assigning to it)
+   */
+  #globalAssignments = [];
+
+  /* Keys of . expressions named by a global, which are only known to be
+   * variables once the whole program has been compiled (see #key.) Each one is
+   * kept with the code it's in, and its position there
+   */
+  #globalKeys = [];
+
+  /* Stack of the Envs code will run in: one for the main program, plus one
+   * for each function and loop block being compiled. Their variables are
+   * stored in numbered slots
+   */
+  #envs = [{ size: 0, depth: 0 }];
+
+  /* Stack of scopes, mapping the names declared in them to their variables.
+   * The outermost scope holds the globals, and each function and block being
+   * compiled gets its own (blocks other than loops share the Env they're in)
+   */
+  #scopes = [{ names: new Map(), env: null, ownsEnv: false }];
+
+  /* Stack of the loops being compiled, used to patch breaks and continues */
+  #loops = [];
+
+  /* Stack of the try blocks being compiled, keeping track of the breaks,
+   * continues and returns jumping out of them
+   */
+  #tries = [];
+  #hiddenCount = 0;
+
+  /* Positions of the calls compiled in the current function (other than those
+   * in try blocks,) which might turn out to be tail calls (see #tailCalls)
+   */
+  #calls = [];
+
+  /* Name of the module being compiled, and the project files and compiled
+   * modules it shares with the compilers of the modules it imports (see
+   * #importModule)
+   */
+  #name = MAIN_MODULE;
+  #imports = null;
 
-  constructor(source) {
-    this.#lexer = new Lexer(source);
+  /* Names exported by the module, and the tokens exporting them */
+  #exports = new Map();
+
+  /* Macros defined so far, by name, and the VM they run in (see callMacro) */
+  #macros = new Map();
+  #macroVM = null;
+
+  /* Project files (other than the main one) map file names to their source
+   * code, and can be imported as modules, e.g. "enemies.gl" by (import enemies)
+   */
+  constructor(source, files = {}) {
+    this.#lexer = new Expander(new Lexer(source), this);
+    this.#imports = {
+      files: files,
+      modules: new Map(),
+      loading: [MAIN_MODULE],
+    };
     this.#initHandlers();
   }
 
+  /* Checks if a macro with the given name has been defined */
+  hasMacro(name) {
+    return this.#macros.has(name);
+  }
+
+  /* Calls a macro with the forms it's called with (see Expander), returning
+   * the form it expands to
+   *
+   * Macros run in a VM of their own, with this program's constants and
+   * globals, though only the built-ins have values yet
+   */
+  callMacro(name, args, token) {
+    if (this.#macroVM === null) {
+      this.#macroVM = new VM();
+    }
+
+    const fn = this.#macros.get(name);
+    const position = [token.getLine(), token.getChar()];
+    return this.#macroVM.callFunction(this, fn, args, position);
+  }
+
   /* Adds a list of constants to the program constants */
   addConstants(constants) {
     this.#constants.push.apply(this.#constants, constants);
@@ -80,15 +246,31 @@ class Compiler {
   compile() {
     printToConsole("Starting compilation...");
 
+    try {
+      this.#program();
+    } catch (error) {
+      printToConsole(error);
+      console.log(error);
+    }
+
+    /* This final return is special, and tells the VM to end the program
+     *
+     * BUG: If you use the return keyword outside of a function, the VM also gladly
+     * ends the program rather than, I guess, throwing an error, which sounds bad,
+     * but is also goofy enough that I might just leave it in...
+     */
+    this.#emit(Opcode.RETURN);
+
+    printToConsole("Finished compiling!");
+  }
+
+  /* Compiles every s-expression in the source, throwing on the first error */
+  #program() {
     while (true) {
       this.#next();
 
-      /* Log errors */
       if (this.#token.isError()) {
-        const msg = this.#token.toString();
-        printToConsole(msg);
-        console.log(msg);
-        break;
+        this.#throw(this.#token.getLexeme());
       }
 
       /* Stop when we reach the end of the file */
@@ -96,24 +278,13 @@ class Compiler {
         break;
       }
 
-      try {
-        this.#sExpression();
-      } catch (error) {
-        printToConsole(error);
-        console.log(error);
-        break;
-      }
+      this.#sExpression();
+      this.#emit(Opcode.POP);
     }
 
-    /* This final return is special, and tells the VM to end the program
-     *
-     * BUG: If you use the return keyword outside of a function, the VM also gladly
-     * ends the program rather than, I guess, throwing an error, which sounds bad,
-     * but is also goofy enough that I might just leave it in...
-     */
-    this.#emit(Opcode.RETURN);
-
-    printToConsole("Finished compiling!");
+    this.#checkGlobalAssignments();
+    this.#checkGlobalKeys();
+    this.#checkExports();
   }
 
   /* Runs a step (advances then parses an s-expression) */
@@ -132,51 +303,85 @@ class Compiler {
     return this.#opcodes;
   }
 
+  /* Returns the globals of the compiled program, in the order of their slots */
+  getGlobals() {
+    return [...this.#globals.values()];
+  }
+
+  /* Returns the name of the compiled module */
+  getName() {
+    return this.#name;
+  }
+
+  /* Returns the names exported by the compiled module */
+  getExports() {
+    return [...this.#exports.keys()];
+  }
+
+  /* Returns the compilers of every module the program imports (directly or
+   * through other modules,) by name. Modules come after the ones they import
+   */
+  getModules() {
+    return this.#imports.modules;
+  }
+
+  /* Returns the line table of the compiled program
+   *
+   * It has one entry for every opcode (and opcode argument), containing the
+   * [line, char] position of the source code that emitted it
+   */
+  getLines() {
+    return this.#lines;
+  }
+
   /* Initializes the table of handlers, which emit code based on the current token */
   #initHandlers() {
     this.#handlers = {
-      /* (...) */
+      /* ((...) ...SEXPR-ARGS) */
       [TokenType.LPAREN]: () => {
+        const token = this.#token;
+
+        /* Parse the s-expression being called */
         this.#next();
         this.#expression();
+
+        const argCount = this.#arguments();
+        this.#emitCall(token, Opcode.CALL_VALUE, argCount);
       },
       /* Extraneous ')' */
       [TokenType.RPAREN]: () => {
         this.#throw("unbalanced parenthesis (extra ')')");
       },
-      /* (+ SEXPR SEXPR) */
+      /* (+ ...SEXPR) */
       [TokenType.PLUS]: () => {
-        this.#binary(Opcode.ADD);
+        this.#variadic(Opcode.ADD, "+", 1);
       },
       /* (+= VAR SEXPR) */
       [TokenType.PLUS_EQUAL]: () => {
         this.#binaryAssign(Opcode.ADD);
       },
-      /* (- SEXPR) OR (- SEXPR SEXPR) */
+      /* (- SEXPR) OR (- ...SEXPR) */
       [TokenType.MINUS]: () => {
-        this.step();
-        if (this.#peek().getType() === TokenType.RPAREN) {
+        const count = this.#variadic(Opcode.SUB, "-", 1);
+        if (count === 1) {
           this.#emit(Opcode.NEGATE);
-        } else {
-          this.step();
-          this.#emit(Opcode.SUB);
         }
       },
       /* (-= VAR SEXPR) */
       [TokenType.MINUS_EQUAL]: () => {
         this.#binaryAssign(Opcode.SUB);
       },
-      /* (* SEXPR SEXPR) */
+      /* (* ...SEXPR) */
       [TokenType.STAR]: () => {
-        this.#binary(Opcode.MUL);
+        this.#variadic(Opcode.MUL, "*", 1);
       },
       /* (*= VAR SEXPR) */
       [TokenType.STAR_EQUAL]: () => {
         this.#binaryAssign(Opcode.MUL);
       },
-      /* (/ SEXPR SEXPR) */
+      /* (/ ...SEXPR) */
       [TokenType.SLASH]: () => {
-        this.#binary(Opcode.DIV);
+        this.#variadic(Opcode.DIV, "/", 2);
       },
       /* (/= VAR SEXPR) */
       [TokenType.SLASH_EQUAL]: () => {
@@ -198,50 +403,121 @@ class Compiler {
       [TokenType.PERCENT_EQUAL]: () => {
         this.#binaryAssign(Opcode.MOD);
       },
-      /* (. VAR SEXPR) */
+      /* (& ...SEXPR) */
+      [TokenType.AMPERSAND]: () => {
+        this.#variadic(Opcode.BIT_AND, "&", 2);
+      },
+      /* (&= VAR SEXPR) */
+      [TokenType.AMPERSAND_EQUAL]: () => {
+        this.#binaryAssign(Opcode.BIT_AND);
+      },
+      /* (| ...SEXPR) */
+      [TokenType.PIPE]: () => {
+        this.#variadic(Opcode.BIT_OR, "|", 2);
+      },
+      /* (|= VAR SEXPR) */
+      [TokenType.PIPE_EQUAL]: () => {
+        this.#binaryAssign(Opcode.BIT_OR);
+      },
+      /* (^ ...SEXPR) */
+      [TokenType.CARET]: () => {
+        this.#variadic(Opcode.BIT_XOR, "^", 2);
+      },
+      /* (^= VAR SEXPR) */
+      [TokenType.CARET_EQUAL]: () => {
+        this.#binaryAssign(Opcode.BIT_XOR);
+      },
+      /* (~ SEXPR) */
+      [TokenType.TILDE]: () => {
+        this.step();
+        this.#emit(Opcode.BIT_NOT);
+      },
+      /* (<< SEXPR SEXPR) */
+      [TokenType.LESS_LESS]: () => {
+        this.#binary(Opcode.SHIFT_LEFT);
+      },
+      /* (<<= VAR SEXPR) */
+      [TokenType.LESS_LESS_EQUAL]: () => {
+        this.#binaryAssign(Opcode.SHIFT_LEFT);
+      },
+      /* (>> SEXPR SEXPR) */
+      [TokenType.GREATER_GREATER]: () => {
+        this.#binary(Opcode.SHIFT_RIGHT);
+      },
+      /* (>>= VAR SEXPR) */
+      [TokenType.GREATER_GREATER_EQUAL]: () => {
+        this.#binaryAssign(Opcode.SHIFT_RIGHT);
+      },
+      /* (. SEXPR KEY) */
       [TokenType.DOT]: () => {
-        this.#binary(Opcode.DOT);
+        if (this.#moduleMember()) {
+          return;
+        }
+
+        this.step();
+        this.#key();
+        this.#emit(Opcode.DOT);
       },
       /* (= VAR SEXPR) */
       [TokenType.EQUAL]: () => {
-        const identifier = this.#expect(
-          TokenType.IDENTIFIER,
-          "expected identifier",
-        );
+        this.#assign();
+      },
+      /* (set! (. SEXPR KEY) SEXPR) OR (set! VAR SEXPR) */
+      [TokenType.SET]: () => {
+        if (this.#peek().getType() === TokenType.IDENTIFIER) {
+          this.#assign();
+          return;
+        }
+
+        this.#expect(TokenType.LPAREN, "expected variable or (. VALUE KEY)");
+        this.#expect(TokenType.DOT, "expected variable or (. VALUE KEY)");
+
+        const next = this.#peek();
+        if (
+          next.getType() === TokenType.IDENTIFIER &&
+          this.#lexer.peekNext().getType() === TokenType.IDENTIFIER &&
+          this.#resolve(next.getLexeme()).module !== undefined
+        ) {
+          this.#next();
+          this.#throw("cannot assign to module members");
+        }
 
         this.step();
+        this.#key();
+        this.#expect(TokenType.RPAREN, "expected closing parenthesis ')'");
 
-        const idx = this.#defineConstant(identifier.getLexeme());
-        this.#emit(Opcode.SET_VARIABLE, idx);
+        /* Assignments result in the assigned value */
+        this.step();
+        this.#emit(Opcode.SET_DOT);
       },
-      /* (== SEXPR SEXPR) */
+      /* (== ...SEXPR) */
       [TokenType.EQUAL_EQUAL]: () => {
-        this.#binary(Opcode.EQUAL);
+        this.#comparison(Opcode.EQUAL, "==");
       },
       /* (! SEXPR) */
       [TokenType.BANG]: () => {
         this.step();
         this.#emit(Opcode.NOT);
       },
-      /* (!= SEXPR SEXPR) */
+      /* (!= ...SEXPR) */
       [TokenType.BANG_EQUAL]: () => {
-        this.#binary(Opcode.NOT_EQUAL);
+        this.#comparison(Opcode.NOT_EQUAL, "!=");
       },
-      /* (< SEXPR SEXPR) */
+      /* (< ...SEXPR) */
       [TokenType.LESS]: () => {
-        this.#binary(Opcode.LESS);
+        this.#comparison(Opcode.LESS, "<");
       },
-      /* (<= SEXPR SEXPR) */
+      /* (<= ...SEXPR) */
       [TokenType.LESS_EQUAL]: () => {
-        this.#binary(Opcode.LESS_EQUAL);
+        this.#comparison(Opcode.LESS_EQUAL, "<=");
       },
-      /* (>= SEXPR SEXPR) */
+      /* (> ...SEXPR) */
       [TokenType.GREATER]: () => {
-        this.#binary(Opcode.GREATER);
+        this.#comparison(Opcode.GREATER, ">");
       },
-      /* (>= SEXPR SEXPR) */
+      /* (>= ...SEXPR) */
       [TokenType.GREATER_EQUAL]: () => {
-        this.#binary(Opcode.GREATER_EQUAL);
+        this.#comparison(Opcode.GREATER_EQUAL, ">=");
       },
       /* (is SEXPR SEXPR) */
       [TokenType.IS]: () => {
@@ -249,102 +525,125 @@ class Compiler {
       },
       /* (VAR-FUNC ...SEXPR-ARGS) */
       [TokenType.IDENTIFIER]: () => {
-        const lexeme = this.#token.getLexeme();
-        const idx = this.#defineConstant(lexeme);
-
-        let argCount = 0;
-        while (true) {
-          if (this.#peek().getType() === TokenType.RPAREN) {
-            break;
-          }
+        const token = this.#token;
+        const idx = this.#defineConstant(token.getLexeme());
 
-          this.step();
-          ++argCount;
-        }
-
-        this.#emit(Opcode.CALL, argCount, idx);
+        const argCount = this.#arguments();
+        this.#emitGet(token.getLexeme(), token);
+        this.#emitCall(token, Opcode.CALL, argCount, idx);
       },
-      /* (or SEXPR SEXPR) */
+      /* (or ...SEXPR) */
       [TokenType.OR]: () => {
-        this.#binary(Opcode.OR);
+        this.#logical(Opcode.JUMP_IF_TRUE, Opcode.FALSE);
       },
-      /* (and SEXPR SEXPR) */
+      /* (and ...SEXPR) */
       [TokenType.AND]: () => {
-        this.#binary(Opcode.AND);
+        this.#logical(Opcode.JUMP_IF_FALSE, Opcode.TRUE);
       },
       /* (while CONDITION-SEXPR BLOCK) */
       [TokenType.WHILE]: () => {
-        const fpCondition = this.#getFP();
+        const token = this.#token;
+        const fpCondition = this.#getFP() + 1;
         this.step();
 
-        /* Zero is temporary, will be patched later down */
-        this.#emit(Opcode.JUMP_IF_FALSE, 0);
-        const fpPatch = this.#getFP();
+        const exitPatch = this.#emitJump(Opcode.JUMP_IF_FALSE);
 
-        this.#next();
-        this.#block();
+        const loop = this.#loop(token, fpCondition);
 
-        const fpCurrent = this.#getFP();
-        this.#opcodes[fpPatch] = fpCurrent - fpPatch + 2;
+        this.#emitLoop(fpCondition, token);
+        this.#patchJump(exitPatch);
+        this.#patchJumps(loop.breaks);
 
-        this.#emit(Opcode.JUMP, fpCondition - fpCurrent - 2);
+        /* Loops result in undefined */
+        this.#emit(Opcode.UNDEFINED);
       },
-      /* (fun NAME (...ARGS) BLOCK) */
-      [TokenType.FUN]: () => {
-        /* Read function name */
+      /* (for VAR START-SEXPR END-SEXPR [STEP-SEXPR] BLOCK) OR
+       * (for VAR COLLECTION-SEXPR BLOCK)
+       */
+      [TokenType.FOR]: () => {
+        const token = this.#token;
         const identifier = this.#expect(
           TokenType.IDENTIFIER,
           "expected identifier",
         );
-        const name = identifier.getLexeme();
-
-        /* Start of arguments list... */
-        this.#expect(TokenType.LPAREN);
 
-        /* Read arguments */
-        const args = [];
-        while (true) {
-          if (this.#peek().getType() !== TokenType.IDENTIFIER) {
-            break;
-          }
+        /* The hidden variables live in the loop's own scope */
+        this.#beginScope();
 
-          const arg = this.#next();
-          args.push(arg.getLexeme());
-        }
+        /* Parse start/collection SEXPR */
+        this.step();
 
-        /* Arguments will be pushed into the stack when the function needs to
-         * be called. Since it's FILO, this ensures they will be in the correct
-         * order when we pop them off the stack
+        /* The loop counts with a hidden variable, whose value the loop
+         * variable is bound to in each iteration (see #loop)
          */
-        args.reverse();
+        const name = this.#hiddenVariable("var");
+        const variable = {
+          name: identifier.getLexeme(),
+          token: identifier,
+          source: name,
+        };
+
+        if (this.#peekBlock()) {
+          this.#forEach(name, token, variable);
+        } else {
+          this.#forRange(name, token, variable);
+        }
 
-        /* ...end of arguments list */
-        this.#expect(TokenType.RPAREN, "expected closing parenthesis ')'");
+        this.#endScope();
+      },
+      /* (break) */
+      [TokenType.BREAK]: () => {
+        const loop = this.#currentLoop("break");
+        this.#exitLoopBlocks(loop);
+        loop.breaks.push(this.#emitJump(Opcode.JUMP));
+      },
+      /* (continue) */
+      [TokenType.CONTINUE]: () => {
+        const loop = this.#currentLoop("continue");
+        this.#exitLoopBlocks(loop);
 
-        /* Mark start of code block and parse it */
-        const fp = this.#getFP() + 1;
-        this.#next();
-        this.#block();
+        if (loop.fpContinue !== -1) {
+          this.#emitLoop(loop.fpContinue, loop.token);
+        } else {
+          loop.continues.push(this.#emitJump(Opcode.JUMP));
+        }
+      },
+      /* (fun NAME (...ARGS) BLOCK) OR (fun (...ARGS) BLOCK) */
+      [TokenType.FUN]: () => {
+        /* Anonymous functions are left on the stack */
+        if (this.#peek().getType() === TokenType.LPAREN) {
+          const fnIdx = this.#function("lambda");
+          this.#emit(Opcode.CLOSURE, fnIdx);
+          return;
+        }
 
-        /* Extracts the function code from the opcode list into a new array */
-        const code = this.#opcodes.slice(fp);
-        this.#opcodes.splice(fp);
+        /* Read function name */
+        const identifier = this.#expect(
+          TokenType.IDENTIFIER,
+          "expected identifier",
+        );
+        const name = identifier.getLexeme();
 
-        /* Always return at the end */
-        if (code[code.length - 1] !== Opcode.RETURN) {
-          code.push(Opcode.UNDEFINED);
-          code.push(Opcode.RETURN);
+        /* The block declared it already, unless it's global (see
+         * #declareFunctions)
+         */
+        const scope = this.#scopes[this.#scopes.length - 1];
+        const variable = scope.names.get(name);
+        if (variable !== undefined && variable.isPending) {
+          variable.isPending = false;
+        } else {
+          this.#declare(name, false);
         }
 
-        /* Create function, save it, and emit code! */
-        const fn = new FunctionValue(name, args, code);
-        const fnIdx = this.#defineConstant(fn);
-        const nameIdx = this.#defineConstant(name);
+        const fnIdx = this.#function(name);
 
-        this.#emit(Opcode.GET_CONST, fnIdx, Opcode.DEF_VARIABLE, nameIdx);
+        this.#emit(Opcode.CLOSURE, fnIdx, Opcode.DUP);
+        this.#emitSet(name);
       },
       /* (return [SEXPR]) */
       [TokenType.RETURN]: () => {
+        this.#markTryExits(0);
+
         if (this.#peek().getType() !== TokenType.RPAREN) {
           this.step();
           this.#emit(Opcode.RETURN);
@@ -352,37 +651,115 @@ class Compiler {
           this.#emit(Opcode.UNDEFINED, Opcode.RETURN);
         }
       },
-      /* (if CONDITION-SEXPR TRUE-BLOCK [ELSE-BLOCK]) */
+      /* (if CONDITION-SEXPR TRUE-BLOCK [ELSE-BLOCK])
+       *
+       * The result is the value of the block which ran (or undefined, if the
+       * condition is false and there's no else block)
+       */
       [TokenType.IF]: () => {
         /* Parse condition sexpr */
         this.step();
-
-        /* Zero is temporary, will be patched later down */
-        this.#emit(Opcode.JUMP_IF_FALSE, 0);
-        const fpIfPatch = this.#getFP();
+        const elsePatch = this.#emitJump(Opcode.JUMP_IF_FALSE);
 
         /* Parse true block */
         this.#next();
-        this.#block();
+        this.#scopedBlock();
 
-        const fpElse = this.#getFP();
-        this.#opcodes[fpIfPatch] = fpElse - fpIfPatch;
+        const endPatch = this.#emitJump(Opcode.JUMP);
+        this.#patchJump(elsePatch);
 
         /* Check for an "else" */
         if (this.#peek().getType() == TokenType.LPAREN) {
-          this.#opcodes[fpIfPatch] += 2;
-
-          /* Zero is temporary, will be patched later down */
-          this.#emit(Opcode.JUMP, 0);
-          const fpElsePatch = this.#getFP();
-
           /* Parse else block */
           this.#next();
-          this.#block();
+          this.#scopedBlock();
+        } else {
+          this.#emit(Opcode.UNDEFINED);
+        }
+
+        this.#patchJump(endPatch);
+      },
+      /* (cond CONDITION-SEXPR BLOCK ... [else ELSE-BLOCK]) */
+      [TokenType.COND]: () => {
+        let hasElse = false;
+
+        const endPatches = [];
+        while (this.#peek().getType() !== TokenType.RPAREN) {
+          if (this.#else()) {
+            hasElse = true;
+            break;
+          }
+
+          /* Parse condition sexpr */
+          this.step();
+          const nextPatch = this.#emitJump(Opcode.JUMP_IF_FALSE);
+
+          this.#expect(TokenType.LPAREN, "expected block");
+          this.#scopedBlock();
+
+          endPatches.push(this.#emitJump(Opcode.JUMP));
+          this.#patchJump(nextPatch);
+        }
+
+        /* Without an else, if no condition is true, the result is undefined */
+        if (!hasElse) {
+          this.#emit(Opcode.UNDEFINED);
+        }
+
+        this.#patchJumps(endPatches);
+      },
+      /* (match SEXPR PATTERN BLOCK ... [else ELSE-BLOCK])
+       *
+       * Patterns are literals (numbers, strings, bools), compared to the value of
+       * the s-expression for equality
+       */
+      [TokenType.MATCH]: () => {
+        /* The value being matched stays on the stack until a branch is taken */
+        this.step();
+
+        const endPatches = [];
+        while (this.#peek().getType() !== TokenType.RPAREN) {
+          if (this.#peek().getType() === TokenType.ELSE) {
+            break;
+          }
+
+          this.#emit(Opcode.DUP);
+          this.#pattern();
+          this.#emit(Opcode.EQUAL);
+          const nextPatch = this.#emitJump(Opcode.JUMP_IF_FALSE);
+
+          this.#emit(Opcode.POP);
+          this.#expect(TokenType.LPAREN, "expected block");
+          this.#scopedBlock();
+
+          endPatches.push(this.#emitJump(Opcode.JUMP));
+          this.#patchJump(nextPatch);
+        }
+
+        /* No pattern matched (and, without an else, the result is undefined) */
+        this.#emit(Opcode.POP);
+        if (!this.#else()) {
+          this.#emit(Opcode.UNDEFINED);
+        }
+
+        this.#patchJumps(endPatches);
+      },
+      /* (? CONDITION-SEXPR TRUE-SEXPR [:] FALSE-SEXPR) */
+      [TokenType.QUESTION]: () => {
+        /* Parse condition sexpr */
+        this.step();
+        const falsePatch = this.#emitJump(Opcode.JUMP_IF_FALSE);
 
-          const fpEnd = this.#getFP();
-          this.#opcodes[fpElsePatch] = fpEnd - fpElse - 2;
+        this.step();
+        const endPatch = this.#emitJump(Opcode.JUMP);
+
+        this.#patchJump(falsePatch);
+        if (this.#peek().getType() === TokenType.COLON) {
+          this.#next();
         }
+
+        this.step();
+        this.#patchJump(endPatch);
       },
       /* (let VAR SEXPR) */
       [TokenType.LET]: () => {
@@ -392,90 +769,1289 @@ class Compiler {
           "expected identifier",
         );
 
+        /* Parse declaration SEXPR
+         *
+         * The variable is only declared after it, so that it may refer to a
+         * variable with the same name in an enclosing scope
+         */
+        this.step();
+        this.#declare(identifier.getLexeme(), false, identifier);
+
+        /* Declarations result in the declared value */
+        this.#emit(Opcode.DUP);
+        this.#emitSet(identifier.getLexeme());
+      },
+      /* (const VAR SEXPR) */
+      [TokenType.CONST]: () => {
+        /* Read constant name */
+        const identifier = this.#expect(
+          TokenType.IDENTIFIER,
+          "expected identifier",
+        );
+
         /* Parse declaration SEXPR */
         this.step();
+        this.#declare(identifier.getLexeme(), true, identifier);
 
-        const idx = this.#defineConstant(identifier.getLexeme());
-        this.#emit(Opcode.DEF_VARIABLE, idx);
+        this.#emit(Opcode.DUP);
+        this.#emitSetConst(identifier.getLexeme());
       },
-      /* (import MODULE) */
+      /* (import MODULE [(NAME ...) | as ALIAS])
+       *
+       * Modules are either libraries added to the VM or project files, which
+       * are compiled here (see #importModule.) The result is the module
+       */
       [TokenType.IMPORT]: () => {
         /* Read module name */
         const identifier = this.#expect(
           TokenType.IDENTIFIER,
           "expected module",
         );
+        const name = identifier.getLexeme();
 
-        const modIdx = this.#defineConstant(identifier.getLexeme());
-        this.#emit(Opcode.IMPORT, modIdx);
-      },
-      /* Errors... */
-      [TokenType.ERROR]: () => {
-        this.#throw(this.#token.getLexeme());
-      },
-      /* End-of-file... */
-      [TokenType.EOF]: () => {
-        this.#throw(`unexpected EOF`);
-      },
-    };
+        let module = null;
+        if (Object.hasOwn(this.#imports.files, `${name}.gl`)) {
+          module = this.#importModule(name, identifier);
+        }
 
-    Object.keys(this.#handlers, (k) => {
-      this.#handlers[k].bind(this);
-    });
-  }
+        const modIdx = this.#defineConstant(name);
 
-  /* A parenthesis-enclosed block, like the { } blocks of languages like C and
-   * JavaScript
-   *
-   * Can contain multiple s-expressions
-   */
-  #block() {
-    while (true) {
-      this.#next();
-      if (this.#token.getType() === TokenType.RPAREN) {
-        break;
-      }
+        /* Aliased modules are only accessible through their alias, e.g.
+         * (. e spawn), rather than by importing every name in them
+         */
+        const next = this.#peek();
+        if (
+          next.getType() === TokenType.IDENTIFIER &&
+          next.getLexeme() === "as"
+        ) {
+          this.#next();
+          const alias = this.#expect(
+            TokenType.IDENTIFIER,
+            "expected alias after 'as'",
+          );
+
+          this.#emit(Opcode.IMPORT, modIdx, 0, Opcode.DUP);
+          this.#declare(alias.getLexeme(), true, alias).module = name;
+          this.#emitSetConst(alias.getLexeme());
+          return;
+        }
 
-      this.#sExpression();
-    }
-  }
+        /* Otherwise, the names selected (or, for project files, every name
+         * they export) are declared as constants in the current scope
+         */
+        let names = null;
+        if (next.getType() === TokenType.LPAREN) {
+          this.#next();
 
-  /* An s-expression is either:
-   * - An atom (number, string, identifier, etc.)
-   * - A parenthesized expression
-   */
-  #sExpression() {
-    switch (this.#token.getType()) {
-      case TokenType.LPAREN:
-        this.#next();
-        this.#expression();
-        break;
-      case TokenType.IDENTIFIER:
-        this.#identifier();
-        break;
-      case TokenType.STRING:
-        this.#string();
-        break;
+          names = [];
+          while (this.#peek().getType() !== TokenType.RPAREN) {
+            const token = this.#expect(TokenType.IDENTIFIER, "expected name");
+            names.push([token.getLexeme(), token]);
+          }
+
+          this.#next();
+        } else if (module !== null) {
+          names = module.getExports().map((member) => [member, identifier]);
+        }
+
+        /* The names in a library aren't known until it's imported, so those
+         * are checked by the VM
+         */
+        if (names === null) {
+          this.#emit(Opcode.IMPORT, modIdx, 1);
+          return;
+        }
+
+        this.#emit(Opcode.IMPORT, modIdx, 0);
+        for (const [member, token] of names) {
+          this.#checkExport(name, member, token);
+
+          const scope = this.#scopes[this.#scopes.length - 1];
+          if (scope.names.has(member)) {
+            this.#throwAt(
+              token,
+              `cannot import '${member}', as it's already declared in this scope`,
+            );
+          }
+
+          const idx = this.#defineConstant(new StringValue(member));
+          this.#emitAt(token, Opcode.DUP, Opcode.GET_CONST, idx, Opcode.DOT);
+
+          this.#declare(member, true, token);
+          this.#emitSetConst(member);
+        }
+      },
+      /* (export NAME ...)
+       *
+       * Only exported names can be imported from a module. They must be
+       * declared at the top level of the module
+       */
+      [TokenType.EXPORT]: () => {
+        if (this.#scopes.length > 1) {
+          this.#throw("exports must be at the top level");
+        }
+
+        while (this.#peek().getType() !== TokenType.RPAREN) {
+          const identifier = this.#expect(
+            TokenType.IDENTIFIER,
+            "expected identifier",
+          );
+          this.#exports.set(identifier.getLexeme(), identifier);
+        }
+
+        this.#emit(Opcode.UNDEFINED);
+      },
+      /* (try BLOCK [(catch VAR BLOCK)] [(finally BLOCK)])
+       *
+       * The result is the value of the try block or, if something was thrown
+       * and caught, of the catch block
+       */
+      [TokenType.TRY]: () => {
+        /* Holds the hidden variables of finally */
+        this.#beginScope();
+
+        const tryBlock = this.#beginTry();
+        this.#expect(TokenType.LPAREN, "expected block after 'try'");
+        this.#scopedBlock();
+        this.#endTry();
+
+        const donePatches = [this.#emitJump(Opcode.JUMP)];
+        const blocks = [tryBlock];
+
+        /* Thrown values are on top of the stack once they land here */
+        this.#patchJump(tryBlock.patch);
+
+        const hasCatch = this.#peekClause(TokenType.CATCH);
+        if (hasCatch) {
+          /* Consume the '(' and the "catch" */
+          this.#next();
+          this.#next();
+
+          const identifier = this.#expect(
+            TokenType.IDENTIFIER,
+            "expected identifier",
+          );
+
+          /* Values thrown from the catch block are caught too, and then thrown
+           * again (after the finally block, if there's one)
+           */
+          const catchBlock = this.#beginTry();
+          blocks.push(catchBlock);
+
+          this.#beginScope();
+          this.#declare(identifier.getLexeme(), false, identifier);
+          this.#emitSet(identifier.getLexeme());
+
+          this.#expect(TokenType.LPAREN, "expected block after 'catch'");
+          this.#scopedBlock();
+          this.#endScope();
+          this.#endTry();
+
+          donePatches.push(this.#emitJump(Opcode.JUMP));
+          this.#expect(TokenType.RPAREN, "expected closing parenthesis ')'");
+
+          this.#patchJump(catchBlock.patch);
+        }
+
+        if (this.#peekClause(TokenType.FINALLY)) {
+          this.#finally(blocks, donePatches);
+        } else if (hasCatch) {
+          this.#emit(Opcode.THROW);
+          this.#patchJumps(donePatches);
+        } else {
+          this.#throw("expected 'catch' or 'finally' after try block");
+        }
+
+        this.#endScope();
+      },
+      /* (throw SEXPR) */
+      [TokenType.THROW]: () => {
+        const token = this.#token;
+        this.step();
+
+        this.#emitAt(token, Opcode.THROW);
+      },
+      /* (quote DATUM) */
+      [TokenType.QUOTE]: () => {
+        this.#quote();
+      },
+      /* (quasiquote DATUM) */
+      [TokenType.QUASIQUOTE]: () => {
+        this.#quasiquote();
+      },
+      /* (defmacro NAME (PARAMS) BLOCK)
+       *
+       * Macros are functions from code to code. Calls to them are expanded
+       * before being compiled, by calling them with the forms they're called
+       * with (quoted) and compiling the form they return instead (see
+       * Expander.) They're defined at the top level, and only apply to the
+       * code after them
+       */
+      [TokenType.DEFMACRO]: () => {
+        if (this.#scopes.length > 1) {
+          this.#throw("macros must be defined at the top level");
+        }
+
+        const identifier = this.#expect(
+          TokenType.IDENTIFIER,
+          "expected macro name",
+        );
+
+        const name = identifier.getLexeme();
+        const idx = this.#function(name);
+        this.#macros.set(name, this.#constants[idx]);
+
+        this.#emit(Opcode.UNDEFINED);
+      },
+      /* (struct NAME (...FIELDS))
+       *
+       * Declares a struct type, which is called to make structs
+       */
+      [TokenType.STRUCT]: () => {
+        const identifier = this.#expect(
+          TokenType.IDENTIFIER,
+          "expected struct name",
+        );
+        const name = identifier.getLexeme();
+        this.#declare(name, false);
+
+        this.#expect(TokenType.LPAREN, "expected field names");
+
+        const fields = [];
+        while (this.#peek().getType() !== TokenType.RPAREN) {
+          const field = this.#expect(
+            TokenType.IDENTIFIER,
+            "expected field name",
+          );
+          if (fields.includes(field.getLexeme())) {
+            this.#throw(`duplicate field '${field.getLexeme()}'`);
+          }
+
+          fields.push(field.getLexeme());
+        }
+        this.#next();
+
+        const idx = this.#defineConstant(new StructTypeValue(name, fields));
+        this.#emit(Opcode.GET_CONST, idx, Opcode.DUP);
+        this.#emitSet(name);
+      },
+      /* Unquotes are only valid inside of quasiquotes (see #quasiquoted) */
+      [TokenType.UNQUOTE]: () => {
+        this.#throw("'unquote' outside of quasiquote");
+      },
+      [TokenType.UNQUOTE_SPLICING]: () => {
+        this.#throw("'unquote-splicing' outside of quasiquote");
+      },
+      /* Errors... */
+      [TokenType.ERROR]: () => {
+        this.#throw(this.#token.getLexeme());
+      },
+      /* End-of-file... */
+      [TokenType.EOF]: () => {
+        this.#throw(`unexpected EOF`);
+      },
+    };
+
+    Object.keys(this.#handlers, (k) => {
+      this.#handlers[k].bind(this);
+    });
+  }
+
+  /* A parenthesis-enclosed block, like the { } blocks of languages like C and
+   * JavaScript
+   *
+   * Can contain multiple s-expressions. The value of the block is the value of
+   * the last one (or undefined, if it's empty); the rest are discarded
+   */
+  #block() {
+    this.#declareFunctions();
+
+    let count = 0;
+    while (true) {
+      this.#next();
+      if (this.#token.getType() === TokenType.RPAREN) {
+        break;
+      }
+
+      if (count++ > 0) {
+        this.#emit(Opcode.POP);
+      }
+
+      this.#sExpression();
+    }
+
+    if (count === 0) {
+      this.#emit(Opcode.UNDEFINED);
+    }
+  }
+
+  /* Declares the functions defined by a block before compiling it, so that
+   * they can call each other whichever comes first. Until its definition runs,
+   * each one is undefined
+   *
+   * Globals don't need this, as they may be declared after they're used
+   */
+  #declareFunctions() {
+    const scope = this.#scopes[this.#scopes.length - 1];
+    if (scope.env === null) {
+      return;
+    }
+
+    let depth = 0;
+    for (let offset = 0; depth >= 0; ++offset) {
+      const token = this.#lexer.peekAt(offset);
+      switch (token.getType()) {
+        case TokenType.LPAREN: {
+          const identifier = this.#lexer.peekAt(offset + 2);
+          if (
+            depth === 0 &&
+            this.#lexer.peekAt(offset + 1).getType() === TokenType.FUN &&
+            identifier.getType() === TokenType.IDENTIFIER &&
+            !scope.names.has(identifier.getLexeme())
+          ) {
+            const name = identifier.getLexeme();
+            this.#declare(name, false, identifier).isPending = true;
+            this.#emit(Opcode.UNDEFINED);
+            this.#emitSet(name);
+          }
+
+          ++depth;
+          break;
+        }
+        case TokenType.RPAREN:
+          --depth;
+          break;
+        case TokenType.EOF:
+          return;
+      }
+    }
+  }
+
+  /* A block with its own scope
+   *
+   * Variables declared inside of it are only visible until the block ends, and
+   * may shadow variables from enclosing scopes
+   */
+  #scopedBlock() {
+    this.#beginScope();
+    this.#block();
+    this.#endScope();
+  }
+
+  /* Enters a new scope
+   *
+   * Its variables are stored in the current Env, unless *ownsEnv* is true, in
+   * which case code is emitted to run it in a new one
+   */
+  #beginScope(ownsEnv = false) {
+    let env = this.#topEnv();
+    if (ownsEnv) {
+      env = { size: 0, depth: this.#envs.length };
+      this.#envs.push(env);
+      this.#emit(Opcode.PUSH_SCOPE);
+    }
+
+    this.#scopes.push({ names: new Map(), env: env, ownsEnv: ownsEnv });
+  }
+
+  /* Leaves the innermost scope (and its Env, if it has its own) */
+  #endScope() {
+    const scope = this.#scopes.pop();
+    if (scope.ownsEnv) {
+      this.#envs.pop();
+      this.#emit(Opcode.POP_SCOPE, 1);
+    }
+  }
+
+  /* Emits code to leave every try block and Env entered inside a loop, for
+   * jumping out of them (breaking or continuing.) The operands of expressions
+   * being jumped out of are dropped from the stack
+   */
+  #exitLoopBlocks(loop) {
+    this.#emitGet(loop.stackSize);
+    this.#emit(Opcode.RESTORE_STACK);
+
+    const tries = this.#tries.length - loop.tries;
+    if (tries > 0) {
+      this.#markTryExits(loop.tries);
+      this.#emit(Opcode.END_TRY, tries);
+    }
+
+    const envs = this.#envs.length - loop.depth;
+    if (envs > 0) {
+      this.#emit(Opcode.POP_SCOPE, envs);
+    }
+  }
+
+  /* Starts a try block, emitting a jump to its handler (to be patched) */
+  #beginTry() {
+    const block = { patch: this.#emitJump(Opcode.TRY), exits: [] };
+    this.#tries.push(block);
+
+    return block;
+  }
+
+  /* Ends the innermost try block */
+  #endTry() {
+    this.#tries.pop();
+    this.#emit(Opcode.END_TRY, 1);
+  }
+
+  /* Marks the current token (a break, continue or return) as jumping out of
+   * the try blocks from the given depth onwards
+   */
+  #markTryExits(depth) {
+    for (let i = depth; i < this.#tries.length; ++i) {
+      this.#tries[i].exits.push(this.#token);
+    }
+  }
+
+  /* Checks if the upcoming tokens start a clause of the given type, e.g.
+   * (catch ...)
+   */
+  #peekClause(type) {
+    if (this.#peek().getType() !== TokenType.LPAREN) {
+      return false;
+    }
+
+    return this.#lexer.peekNext().getType() === type;
+  }
+
+  /* Compiles the finally clause of a try, which runs whether or not something
+   * was thrown. Expects the result of the try (or catch) block on the stack when
+   * jumping to *donePatches*, and the thrown value otherwise
+   *
+   * Control can't jump out of the try (or catch) block itself, as it would skip
+   * the finally block
+   */
+  #finally(blocks, donePatches) {
+    for (const block of blocks) {
+      if (block.exits.length > 0) {
+        const token = block.exits[0];
+        this.#throwAt(
+          token,
+          `'${token.getLexeme()}' can't jump out of a try with a finally`,
+        );
+      }
+    }
+
+    /* Consume the '(' and the "finally" */
+    this.#next();
+    this.#next();
+
+    const thrown = this.#hiddenVariable("thrown");
+    const rethrow = this.#hiddenVariable("rethrow");
+    const result = this.#hiddenVariable("result");
+
+    /* Something was thrown: keep it to throw again after the finally block */
+    this.#emitSet(thrown);
+    this.#emit(Opcode.TRUE);
+    this.#emitSet(rethrow);
+    const finallyPatch = this.#emitJump(Opcode.JUMP);
+
+    /* Nothing was thrown: keep the result */
+    this.#patchJumps(donePatches);
+    this.#emitSet(result);
+    this.#emit(Opcode.FALSE);
+    this.#emitSet(rethrow);
+
+    this.#patchJump(finallyPatch);
+    this.#expect(TokenType.LPAREN, "expected block after 'finally'");
+    this.#scopedBlock();
+    this.#emit(Opcode.POP);
+    this.#expect(TokenType.RPAREN, "expected closing parenthesis ')'");
+
+    this.#emitGet(rethrow);
+    const resultPatch = this.#emitJump(Opcode.JUMP_IF_FALSE);
+    this.#emitGet(thrown);
+    this.#emit(Opcode.THROW);
+
+    this.#patchJump(resultPatch);
+    this.#emitGet(result);
+  }
+
+  /* Returns the innermost Env being compiled */
+  #topEnv() {
+    return this.#envs[this.#envs.length - 1];
+  }
+
+  /* An s-expression is either:
+   * - An atom (number, string, identifier, etc.)
+   * - A parenthesized expression
+   */
+  #sExpression() {
+    switch (this.#token.getType()) {
+      case TokenType.LPAREN:
+        this.#next();
+        this.#expression();
+        break;
+      case TokenType.IDENTIFIER:
+        this.#identifier();
+        break;
+      case TokenType.STRING:
+        this.#string();
+        break;
+      case TokenType.INTERPOLATION:
+        this.#interpolation();
+        break;
+      case TokenType.NUMBER:
+        this.#number();
+        break;
+      case TokenType.TRUE:
+        this.#emit(Opcode.TRUE);
+        break;
+      case TokenType.FALSE:
+        this.#emit(Opcode.FALSE);
+        break;
+      case TokenType.UNDEFINED:
+        this.#emit(Opcode.UNDEFINED);
+        break;
+      case TokenType.LBRACKET:
+        this.#array();
+        break;
+      case TokenType.LBRACE:
+        this.#dict();
+        break;
+      case TokenType.QUOTE:
+        this.#quote();
+        break;
+      case TokenType.QUASIQUOTE:
+        this.#quasiquote();
+        break;
+      /* Outside of declarations, struct is the type of every struct */
+      case TokenType.STRUCT:
+        this.#emitGet("struct");
+        break;
+      case TokenType.ERROR:
+        this.#throw(this.#token.getLexeme());
+        break;
+      default:
+        this.#throw(`unexpected token ${this.#token}`);
+    }
+  }
+
+  /* Compiles the arguments and code block of a function, returning the index
+   * of the constant holding it
+   */
+  #function(name) {
+    /* Start of parameter list... */
+    this.#expect(TokenType.LPAREN, "expected parameter list");
+
+    /* Mark start of code block
+     *
+     * Loops surrounding the function can't be broken out of from within it
+     */
+    const fp = this.#getFP() + 1;
+    const loops = this.#loops;
+    const tries = this.#tries;
+    const calls = this.#calls;
+    this.#loops = [];
+    this.#tries = [];
+    this.#calls = [];
+
+    /* Parameters take the first slots of the function's Env */
+    const env = { size: 0, depth: this.#envs.length };
+    this.#envs.push(env);
+    this.#scopes.push({ names: new Map(), env: env, ownsEnv: true });
+
+    /* Read parameters (see #parameter) */
+    const params = { names: [], required: 0, hasRest: false };
+    while (this.#parameter(params)) {}
+
+    /* ...end of parameter list */
+    this.#expect(TokenType.RPAREN, "expected closing parenthesis ')'");
+
+    /* Parse code block */
+    this.#next();
+    this.#block();
+
+    this.#scopes.pop();
+    this.#envs.pop();
+    this.#loops = loops;
+    this.#tries = tries;
+
+    /* Always return at the end, with the value of the block */
+    this.#emit(Opcode.RETURN);
+
+    this.#tailCalls();
+    this.#calls = calls;
+
+    /* Extracts the function code (and its lines) from the opcode list into new
+     * arrays
+     */
+    const code = this.#opcodes.slice(fp);
+    this.#opcodes.splice(fp);
+
+    const lines = this.#lines.slice(fp);
+    this.#lines.splice(fp);
+
+    /* Keys left to check in the function now live in its code */
+    for (const key of this.#globalKeys) {
+      if (key.code === this.#opcodes && key.fp >= fp) {
+        key.code = code;
+        key.fp -= fp;
+      }
+    }
+
+    const fn = new FunctionValue(name, params, code, lines);
+    return this.#defineConstant(fn);
+  }
+
+  /* Reads a function parameter into *params*, returning false once there are
+   * no more. Parameters are one of:
+   * - NAME, which is required
+   * - (NAME SEXPR), which is optional. SEXPR is its default value, evaluated
+   *   when the function is called without it (so it may refer to the
+   *   parameters before it)
+   * - ...NAME, which must be last, and collects any remaining arguments into
+   *   an array
+   *
+   * The VM puts arguments in the first slots of the function's Env, so the
+   * default value is checked not to declare variables of its own
+   */
+  #parameter(params) {
+    const slot = params.names.length;
+    let token = this.#peek();
+
+    switch (token.getType()) {
+      case TokenType.IDENTIFIER:
+        this.#next();
+        if (slot > params.required) {
+          this.#throwAt(
+            token,
+            `required parameter '${token.getLexeme()}' can't follow optional ones`,
+          );
+        }
+
+        this.#declare(token.getLexeme(), false, token);
+        params.required++;
+        break;
+      case TokenType.LPAREN: {
+        this.#next();
+        token = this.#expect(TokenType.IDENTIFIER, "expected parameter name");
+
+        /* Default value SEXPR, skipped if an argument is passed */
+        this.#emit(Opcode.JUMP_IF_PASSED, slot, 0);
+        const passedPatch = this.#getFP();
+
+        this.step();
+        if (this.#envs[this.#envs.length - 1].size !== slot) {
+          this.#throwAt(token, "default values can't declare variables");
+        }
+
+        this.#declare(token.getLexeme(), false, token);
+        this.#emitSet(token.getLexeme());
+        this.#patchJump(passedPatch);
+
+        this.#expect(TokenType.RPAREN, "expected closing parenthesis ')'");
+        break;
+      }
+      case TokenType.ELLIPSIS:
+        this.#next();
+        token = this.#expect(TokenType.IDENTIFIER, "expected parameter name");
+        if (this.#peek().getType() !== TokenType.RPAREN) {
+          this.#throwAt(this.#peek(), "rest parameter must be last");
+        }
+
+        this.#declare(token.getLexeme(), false, token);
+        params.hasRest = true;
+        break;
+      default:
+        return false;
+    }
+
+    params.names.push(token.getLexeme());
+    return !params.hasRest;
+  }
+
+  /* Emits code for a counted for loop, with the start value already on the
+   * stack. The end and step are evaluated only once, before the loop starts
+   */
+  #forRange(name, token, variable) {
+    this.#emitSet(name);
+
+    this.step();
+    const end = this.#hiddenVariable("end");
+    this.#emitSet(end);
+
+    /* Parse optional step */
+    let step = null;
+    if (!this.#peekBlock()) {
+      this.step();
+      step = this.#hiddenVariable("step");
+      this.#emitSet(step);
+    }
+
+    /* Counts up while VAR < END, or down while VAR > END if the step is negative */
+    const fpCondition = this.#getFP() + 1;
+    if (step === null) {
+      this.#emitGet(name);
+      this.#emitGet(end);
+      this.#emit(Opcode.LESS);
+    } else {
+      const zeroIdx = this.#defineConstant(new NumberValue(0));
+      this.#emitGet(step);
+      this.#emit(Opcode.GET_CONST, zeroIdx, Opcode.GREATER);
+
+      const downPatch = this.#emitJump(Opcode.JUMP_IF_FALSE);
+      this.#emitGet(name);
+      this.#emitGet(end);
+      this.#emit(Opcode.LESS);
+
+      const endPatch = this.#emitJump(Opcode.JUMP);
+      this.#patchJump(downPatch);
+      this.#emitGet(name);
+      this.#emitGet(end);
+      this.#emit(Opcode.GREATER);
+      this.#patchJump(endPatch);
+    }
+
+    const exitPatch = this.#emitJump(Opcode.JUMP_IF_FALSE);
+
+    const loop = this.#loop(token, -1, variable);
+
+    /* Increment */
+    this.#patchJumps(loop.continues);
+    this.#emitGet(name);
+    if (step === null) {
+      const oneIdx = this.#defineConstant(new NumberValue(1));
+      this.#emit(Opcode.GET_CONST, oneIdx);
+    } else {
+      this.#emitGet(step);
+    }
+    this.#emit(Opcode.ADD);
+    this.#emitSet(name);
+
+    this.#emitLoop(fpCondition, token);
+    this.#patchJump(exitPatch);
+    this.#patchJumps(loop.breaks);
+
+    /* Loops result in undefined */
+    this.#emit(Opcode.UNDEFINED);
+  }
+
+  /* Emits code for a for loop over the elements of a collection, with the
+   * collection already on the stack
+   */
+  #forEach(name, token, variable) {
+    this.#emit(Opcode.ITER);
+
+    const seq = this.#hiddenVariable("seq");
+    this.#emitSet(seq);
+
+    const idx = this.#hiddenVariable("idx");
+    const zeroIdx = this.#defineConstant(new NumberValue(0));
+    this.#emit(Opcode.GET_CONST, zeroIdx);
+    this.#emitSet(idx);
+
+    /* Loop while IDX < (len SEQ) */
+    const fpCondition = this.#getFP() + 1;
+    this.#emitGet(idx);
+    this.#emitGet(seq);
+    this.#emit(Opcode.LEN, Opcode.LESS);
+
+    const exitPatch = this.#emitJump(Opcode.JUMP_IF_FALSE);
+
+    /* VAR = (. SEQ IDX) */
+    this.#emitGet(seq);
+    this.#emitGet(idx);
+    this.#emit(Opcode.DOT);
+    this.#emitSet(name);
+
+    const loop = this.#loop(token, -1, variable);
+
+    /* Increment */
+    this.#patchJumps(loop.continues);
+    const oneIdx = this.#defineConstant(new NumberValue(1));
+    this.#emitGet(idx);
+    this.#emit(Opcode.GET_CONST, oneIdx, Opcode.ADD);
+    this.#emitSet(idx);
+
+    this.#emitLoop(fpCondition, token);
+    this.#patchJump(exitPatch);
+    this.#patchJumps(loop.breaks);
+
+    /* Loops result in undefined */
+    this.#emit(Opcode.UNDEFINED);
+  }
+
+  /* Compiles the block of a loop, keeping track of its breaks and continues
+   *
+   * If the start of the next iteration is already known, continues jump back to
+   * it right away; otherwise, they should be patched once it is
+   *
+   * The *variable* of a for loop ({ name, token, source }) is declared in every
+   * iteration's Env, set to the value of its *source* variable
+   */
+  #loop(token, fpContinue = -1, variable = null) {
+    const loop = {
+      breaks: [],
+      continues: [],
+      depth: this.#envs.length,
+      tries: this.#tries.length,
+      token: token,
+      fpContinue: fpContinue,
+    };
+    this.#loops.push(loop);
+
+    /* The stack is the same size at the start of every iteration, which break
+     * and continue go back to (see #exitLoopBlocks)
+     */
+    loop.stackSize = this.#hiddenVariable("stack");
+    this.#emit(Opcode.STACK_SIZE);
+    this.#emitSet(loop.stackSize);
+
+    /* Every iteration runs in a new Env, so that closures created in one don't
+     * see the variables of the next (including the loop variable)
+     */
+    this.#next();
+    this.#beginScope(true);
+    if (variable !== null) {
+      this.#emitGet(variable.source);
+      this.#declare(variable.name, false, variable.token);
+      this.#emitSet(variable.name);
+
+      /* The block may shadow the loop variable */
+      this.#beginScope();
+    }
+
+    this.#block();
+
+    if (variable !== null) {
+      this.#endScope();
+    }
+    this.#endScope();
+    this.#emit(Opcode.POP);
+
+    this.#loops.pop();
+
+    return loop;
+  }
+
+  /* Returns the innermost loop, throwing an error if there's none */
+  #currentLoop(keyword) {
+    if (this.#loops.length === 0) {
+      this.#throw(`'${keyword}' outside of a loop`);
+    }
+
+    return this.#loops[this.#loops.length - 1];
+  }
+
+  /* Checks if the upcoming tokens start a block
+   *
+   * Since both blocks and s-expressions start with '(', a block is told apart by
+   * its place: it's the last list in the form, so it's followed by ')'
+   */
+  #peekBlock() {
+    if (this.#peek().getType() !== TokenType.LPAREN) {
+      return false;
+    }
+
+    let depth = 0;
+    let offset = 0;
+    do {
+      const token = this.#lexer.peekAt(offset++);
+      if (token.isEOF()) {
+        return false;
+      }
+
+      if (token.getType() === TokenType.LPAREN) {
+        ++depth;
+      } else if (token.getType() === TokenType.RPAREN) {
+        --depth;
+      }
+    } while (depth > 0);
+
+    return this.#lexer.peekAt(offset).getType() === TokenType.RPAREN;
+  }
+
+  /* Declares a variable for compiler-generated code, returning its name
+   *
+   * The name contains a '@', so that it can't clash with user identifiers
+   */
+  #hiddenVariable(name) {
+    const hidden = `@${name}${this.#hiddenCount++}`;
+    this.#declare(hidden, false);
+
+    return hidden;
+  }
+
+  /* A parenthesized expression
+   *
+   * Any s-expression without a handler of its own (e.g. a literal) is called,
+   * which fails when run unless it results in a function or a type
+   */
+  #expression() {
+    const handler = this.#handlers[this.#token.getType()];
+    if (handler !== undefined) {
+      handler();
+    } else {
+      const token = this.#token;
+      this.#sExpression();
+
+      const argCount = this.#arguments();
+      this.#emitCall(token, Opcode.CALL_VALUE, argCount);
+    }
+
+    this.#expect(TokenType.RPAREN, "expected closing parenthesis ')'");
+  }
+
+  /* Declares a variable (or a constant) in the innermost scope
+   *
+   * Names can't be declared twice in the same scope, but may shadow names from
+   * enclosing scopes
+   */
+  #declare(name, isConst, token = this.#token) {
+    const scope = this.#scopes[this.#scopes.length - 1];
+    if (scope.names.has(name)) {
+      this.#throwAt(token, `'${name}' is already declared in this scope`);
+    }
+
+    let variable;
+    if (scope.env === null) {
+      variable = this.#global(name);
+      variable.isConst = isConst;
+      variable.isDeclared = true;
+    } else {
+      variable = { slot: scope.env.size++, isConst: isConst };
+    }
+
+    scope.names.set(name, variable);
+    return variable;
+  }
+
+  /* Returns the global with the given name, giving it a slot if it has none */
+  #global(name) {
+    let global = this.#globals.get(name);
+    if (global === undefined) {
+      global = {
+        name: name,
+        slot: this.#globals.size,
+        isConst: false,
+        isDeclared: false,
+      };
+      this.#globals.set(name, global);
+    }
+
+    return global;
+  }
+
+  /* Finds the variable a name refers to, searching the scopes from the
+   * innermost outwards. Names not declared in any are globals
+   *
+   * Variables in the current Env are locals; those in an enclosing one are
+   * upvalues, found by going up *hops* Envs
+   */
+  #resolve(name) {
+    for (let i = this.#scopes.length - 1; i > 0; --i) {
+      const scope = this.#scopes[i];
+      const variable = scope.names.get(name);
+      if (variable !== undefined) {
+        const hops = this.#envs.length - 1 - scope.env.depth;
+        return { ...variable, hops: hops, isGlobal: false };
+      }
+    }
+
+    return { ...this.#global(name), isGlobal: true };
+  }
+
+  /* Emits code to push the value of a variable to the stack */
+  #emitGet(name, token = this.#token) {
+    const variable = this.#resolve(name);
+    if (variable.isGlobal) {
+      this.#emitAt(token, Opcode.GET_GLOBAL, variable.slot);
+    } else if (variable.hops === 0) {
+      this.#emitAt(token, Opcode.GET_LOCAL, variable.slot);
+    } else {
+      this.#emitAt(token, Opcode.GET_UPVALUE, variable.hops, variable.slot);
+    }
+  }
+
+  /* Emits code to set a variable to a value popped from the stack */
+  #emitSet(name) {
+    const variable = this.#resolve(name);
+    if (variable.isGlobal) {
+      this.#emit(Opcode.SET_GLOBAL, variable.slot);
+    } else if (variable.hops === 0) {
+      this.#emit(Opcode.SET_LOCAL, variable.slot);
+    } else {
+      this.#emit(Opcode.SET_UPVALUE, variable.hops, variable.slot);
+    }
+  }
+
+  /* Emits code to declare a constant (in the innermost scope) with a value
+   * popped from the stack. The VM refuses to set it again
+   */
+  #emitSetConst(name) {
+    const variable = this.#resolve(name);
+    this.#emit(Opcode.SET_CONST, variable.isGlobal ? 1 : 0, variable.slot);
+  }
+
+  /* Throws an error if a variable is a constant, and so can't be assigned to */
+  #checkAssignable(name) {
+    const variable = this.#resolve(name);
+    if (variable.isConst) {
+      this.#throw(`cannot assign to constant '${name}'`);
+    }
+
+    if (variable.isGlobal) {
+      this.#globalAssignments.push({ name: name, token: this.#token });
+    }
+  }
+
+  /* Throws an error if a global which was assigned to turned out to be a
+   * constant declared later on
+   */
+  #checkGlobalAssignments() {
+    for (const { name, token } of this.#globalAssignments) {
+      if (this.#globals.get(name).isConst) {
+        this.#throwAt(token, `cannot assign to constant '${name}'`);
+      }
+    }
+  }
+
+  /* Compiles the key of a . expression
+   *
+   * A bare name is the key itself, e.g. (. ball dx) is the field "dx", unless
+   * it's a variable declared by the program. Globals may be declared after
+   * they're used, so those keys are compiled as variables and left for
+   * #checkGlobalKeys to turn into names
+   */
+  #key() {
+    if (this.#peek().getType() !== TokenType.IDENTIFIER) {
+      this.step();
+      return;
+    }
+
+    const name = this.#next().getLexeme();
+    const variable = this.#resolve(name);
+    this.#emitGet(name);
+
+    if (variable.isGlobal) {
+      this.#globalKeys.push({
+        name: name,
+        code: this.#opcodes,
+        fp: this.#getFP() - 1,
+      });
+    }
+  }
+
+  /* Turns the keys naming globals the program never declared into the names
+   * themselves (see #key)
+   */
+  #checkGlobalKeys() {
+    for (const { name, code, fp } of this.#globalKeys) {
+      if (!this.#globals.get(name).isDeclared) {
+        code[fp] = Opcode.GET_CONST;
+        code[fp + 1] = this.#defineConstant(new StringValue(name));
+      }
+    }
+  }
+
+  /* Throws an error if an exported name isn't a global declared by the module */
+  #checkExports() {
+    for (const [name, token] of this.#exports) {
+      const global = this.#globals.get(name);
+      if (global === undefined || !global.isDeclared) {
+        this.#throwAt(token, `cannot export '${name}', as it isn't declared`);
+      }
+    }
+  }
+
+  /* Compiles a project file as a module, unless it already was
+   *
+   * Each module is compiled once, by a compiler of its own, however many times
+   * it's imported. Modules can't import each other in a cycle, as one of them
+   * would have to run before the other
+   */
+  #importModule(name, token) {
+    const { files, modules, loading } = this.#imports;
+    if (loading.includes(name)) {
+      const cycle = [...loading.slice(loading.indexOf(name)), name];
+      this.#throwAt(token, `import cycle (${cycle.join(" -> ")})`);
+    }
+
+    if (modules.has(name)) {
+      return modules.get(name);
+    }
+
+    const compiler = new Compiler(files[`${name}.gl`]);
+    compiler.#name = name;
+    compiler.#imports = this.#imports;
+
+    loading.push(name);
+    compiler.#program();
+    loading.pop();
+
+    /* Unlike the main program, modules return to the code importing them */
+    compiler.#emit(Opcode.UNDEFINED, Opcode.RETURN);
+    modules.set(name, compiler);
+
+    return compiler;
+  }
+
+  /* Throws an error if a project file doesn't export a name (libraries can't
+   * be checked until they're imported)
+   */
+  #checkExport(module, member, token) {
+    const compiler = this.#imports.modules.get(module);
+    if (compiler !== undefined && !compiler.#exports.has(member)) {
+      this.#throwAt(token, `module '${module}' has no export '${member}'`);
+    }
+  }
+
+  /* Compiles the access of a member of a module through its alias, e.g.
+   * (. e spawn), returning false if the expression isn't one
+   *
+   * The member is named by an identifier, which is checked against the names
+   * the module exports (if it's a project file)
+   */
+  #moduleMember() {
+    const next = this.#peek();
+    if (
+      next.getType() !== TokenType.IDENTIFIER ||
+      this.#lexer.peekNext().getType() !== TokenType.IDENTIFIER
+    ) {
+      return false;
+    }
+
+    const name = this.#resolve(next.getLexeme()).module;
+    if (name === undefined) {
+      return false;
+    }
+
+    this.step();
+    const member = this.#next().getLexeme();
+    this.#checkExport(name, member, this.#token);
+
+    const idx = this.#defineConstant(new StringValue(member));
+    this.#emit(Opcode.GET_CONST, idx, Opcode.DOT);
+    return true;
+  }
+
+  /* Parses an "else" followed by a block, which must be the last thing inside
+   * the enclosing expression. Returns false if there's no "else"
+   */
+  #else() {
+    if (this.#peek().getType() !== TokenType.ELSE) {
+      return false;
+    }
+
+    this.#next();
+    this.#expect(TokenType.LPAREN, "expected block after 'else'");
+    this.#scopedBlock();
+
+    if (this.#peek().getType() !== TokenType.RPAREN) {
+      this.#next();
+      this.#throw("'else' must be the last branch");
+    }
+
+    return true;
+  }
+
+  /* Parses a literal pattern for match */
+  #pattern() {
+    this.#next();
+    switch (this.#token.getType()) {
       case TokenType.NUMBER:
-        this.#number();
-        break;
+      case TokenType.STRING:
       case TokenType.TRUE:
-        this.#emit(Opcode.TRUE);
-        break;
       case TokenType.FALSE:
-        this.#emit(Opcode.FALSE);
+        this.#sExpression();
         break;
       default:
-        this.#throw(`unexpected token ${this.#token}`);
+        this.#throw("match patterns must be numbers, strings or bools");
     }
   }
 
-  /* A parenthesized expression */
-  #expression() {
-    const handler = this.#handlers[this.#token.getType()];
-    handler();
+  /* Parses the arguments of a call, up until the closing ')', returning how
+   * many there are
+   */
+  #arguments() {
+    let argCount = 0;
+    while (this.#peek().getType() !== TokenType.RPAREN) {
+      this.step();
+      ++argCount;
+    }
 
-    this.#expect(TokenType.RPAREN, "expected closing parenthesis ')'");
+    return argCount;
+  }
+
+  /* Emits code for short-circuiting logical operations (and, or)
+   *
+   * Operands are evaluated from left to right, stopping as soon as one of them
+   * decides the result (the first falsy one for and, the first truthy one for
+   * or.) That operand's value is the result. If none do, it's the last operand.
+   * Without operands, the result is *empty*
+   */
+  #logical(jumpOp, empty) {
+    if (this.#peek().getType() === TokenType.RPAREN) {
+      this.#emit(empty);
+      return;
+    }
+
+    this.step();
+
+    const patches = [];
+    while (this.#peek().getType() !== TokenType.RPAREN) {
+      /* Keep a copy of the operand, in case it decides the result */
+      this.#emit(Opcode.DUP);
+      patches.push(this.#emitJump(jumpOp));
+      this.#emit(Opcode.POP);
+
+      this.step();
+    }
+
+    this.#patchJumps(patches);
+  }
+
+  /* Emits code for operations taking any number of operands, which are folded
+   * from left to right: (OP A B C) is (OP (OP A B) C)
+   *
+   * Returns the number of operands
+   */
+  #variadic(op, symbol, minOperands) {
+    let count = 0;
+    while (this.#peek().getType() !== TokenType.RPAREN) {
+      this.step();
+      if (++count > 1) {
+        this.#emit(op);
+      }
+    }
+
+    if (count < minOperands) {
+      this.#throw(this.#expectedOperands(symbol, minOperands));
+    }
+
+    return count;
+  }
+
+  /* Emits code for comparisons taking two or more operands, which are chained:
+   * (OP A B C) is (and (OP A B) (OP B C)), except each operand is evaluated
+   * only once
+   */
+  #comparison(op, symbol) {
+    let count = 0;
+    while (this.#peek().getType() !== TokenType.RPAREN) {
+      this.step();
+      ++count;
+    }
+
+    if (count < 2) {
+      this.#throw(this.#expectedOperands(symbol, 2));
+    }
+
+    if (count === 2) {
+      this.#emit(op);
+    } else {
+      this.#emit(Opcode.COMPARE_CHAIN, op, count);
+    }
+  }
+
+  /* Returns the error message for an operation with too few operands */
+  #expectedOperands(symbol, minOperands) {
+    const plural = minOperands === 1 ? "operand" : "operands";
+    return `'${symbol}' expects at least ${minOperands} ${plural}`;
   }
 
   /* Emits code for any binary operation of the type (OP SEXPR SEXPR) */
@@ -486,6 +2062,22 @@ class Compiler {
     this.#emit(op);
   }
 
+  /* Emits code for an assignment (OP VAR SEXPR,) which results in the assigned
+   * value
+   */
+  #assign() {
+    const identifier = this.#expect(
+      TokenType.IDENTIFIER,
+      "expected identifier",
+    );
+    this.#checkAssignable(identifier.getLexeme());
+
+    this.step();
+
+    this.#emit(Opcode.DUP);
+    this.#emitSet(identifier.getLexeme());
+  }
+
   /* Emits code for any binary operation of the type (OP VAR SEXPR,) the result
    * of which is stored in VAR
    */
@@ -495,22 +2087,253 @@ class Compiler {
       TokenType.IDENTIFIER,
       "expected identifier",
     );
+    this.#checkAssignable(identifier.getLexeme());
 
-    const idx = this.#defineConstant(identifier.getLexeme());
-
-    this.#emit(Opcode.GET_VARIABLE, idx);
+    this.#emitGet(identifier.getLexeme());
     this.step();
 
-    /* Emit code to perform operation and set the variable to its result */
-    this.#emit(op, Opcode.SET_VARIABLE, idx);
+    /* Emit code to perform operation and set the variable to its result, which
+     * is also the result of the whole expression
+     */
+    this.#emit(op, Opcode.DUP);
+    this.#emitSet(identifier.getLexeme());
+  }
+
+  /* Handles array literals ([SEXPR, SEXPR, ...]) */
+  #array() {
+    let count = 0;
+    while (this.#peek().getType() !== TokenType.RBRACKET) {
+      if (count > 0) {
+        this.#expect(TokenType.COMMA, "expected comma ',' between elements");
+      }
+
+      this.step();
+      ++count;
+    }
+
+    /* Consume the ']' */
+    this.#next();
+
+    this.#emit(Opcode.BUILD_ARRAY, count);
+  }
+
+  /* Handles dictionary literals ({KEY-SEXPR: VALUE-SEXPR, ...}) */
+  #dict() {
+    let count = 0;
+    while (this.#peek().getType() !== TokenType.RBRACE) {
+      if (count > 0) {
+        this.#expect(TokenType.COMMA, "expected comma ',' between entries");
+      }
+
+      this.step();
+      this.#expect(TokenType.COLON, "expected colon ':' after key");
+      this.step();
+      ++count;
+    }
+
+    /* Consume the '}' */
+    this.#next();
+
+    this.#emit(Opcode.BUILD_DICT, count);
+  }
+
+  /* Handles quoted data ('DATUM), which is the value of the code written
+   * (see #datum)
+   */
+  #quote() {
+    this.#next();
+    const value = this.#datum();
+
+    this.#emit(Opcode.GET_CONST, this.#defineConstant(value));
+  }
+
+  /* Reads the DATUM starting at the current token as a value, without
+   * compiling it. Parenthesized datums are lists, and tokens are read by
+   * quotedToken
+   */
+  #datum() {
+    const token = this.#token;
+
+    const shorthand = this.#shorthand(token);
+    if (shorthand !== null) {
+      this.#next();
+      return new ListValue([new SymbolValue(shorthand), this.#datum()]);
+    }
+
+    switch (token.getType()) {
+      case TokenType.LPAREN: {
+        const elements = [];
+        while (this.#peek().getType() !== TokenType.RPAREN) {
+          this.#next();
+          elements.push(this.#datum());
+        }
+
+        /* Consume the ')' */
+        this.#next();
+
+        return new ListValue(elements);
+      }
+      case TokenType.INTERPOLATION:
+        this.#throw("strings with interpolations can't be quoted");
+        break;
+      case TokenType.RPAREN:
+      case TokenType.LBRACKET:
+      case TokenType.RBRACKET:
+      case TokenType.LBRACE:
+      case TokenType.RBRACE:
+      case TokenType.EOF:
+        this.#throw(`unexpected token ${token}`);
+        break;
+      case TokenType.ERROR:
+        this.#throw(token.getLexeme());
+        break;
+    }
+
+    return quotedToken(token);
+  }
+
+  /* Returns the name of the quote form a token abbreviates, or null if it isn't
+   * a shorthand (see QUOTE_SHORTHANDS)
+   */
+  #shorthand(token) {
+    switch (token.getType()) {
+      case TokenType.QUOTE:
+      case TokenType.QUASIQUOTE:
+      case TokenType.COMMA:
+      case TokenType.UNQUOTE_SPLICING:
+        return QUOTE_SHORTHANDS.get(token.getLexeme()) ?? null;
+    }
+
+    return null;
+  }
+
+  /* Handles quasiquoted data (`DATUM), which is quoted except for its unquoted
+   * parts (,SEXPR), whose values are put in its place. Unquoted arrays and
+   * lists can be spliced into the list around them (,@SEXPR)
+   */
+  #quasiquote() {
+    this.#next();
+    this.#quasiquoted(1);
+  }
+
+  /* Emits code building the quasiquoted DATUM starting at the current token
+   *
+   * *level* counts the quasiquotes the datum is nested in. Unquotes only belong
+   * to the outermost one (level 1), so those of nested quasiquotes are kept
+   * quoted
+   */
+  #quasiquoted(level, form = this.#quoteForm()) {
+    if (form !== null) {
+      if (form.name === "unquote" && level === 1) {
+        this.#sExpression();
+      } else if (form.name === "unquote-splicing" && level === 1) {
+        this.#throw("'unquote-splicing' outside of a list");
+      } else {
+        const symbol = this.#defineConstant(new SymbolValue(form.name));
+        this.#emit(Opcode.GET_CONST, symbol);
+
+        if (form.name === "quasiquote") {
+          this.#quasiquoted(level + 1);
+        } else if (form.name === "quote") {
+          this.#quasiquoted(level);
+        } else {
+          this.#quasiquoted(level - 1);
+        }
+
+        this.#emit(Opcode.BUILD_LIST, 2);
+      }
+
+      if (form.isLong) {
+        this.#expect(TokenType.RPAREN, "expected closing parenthesis ')'");
+      }
+      return;
+    }
+
+    if (this.#token.getType() !== TokenType.LPAREN) {
+      this.#emit(Opcode.GET_CONST, this.#defineConstant(this.#datum()));
+      return;
+    }
+
+    /* Lists are built in runs of elements, with the spliced values added in
+     * between them
+     */
+    let count = 0;
+    let runs = 0;
+    const buildRun = () => {
+      if (count > 0 || runs === 0) {
+        this.#emit(Opcode.BUILD_LIST, count);
+        if (runs++ > 0) {
+          this.#emit(Opcode.ADD);
+        }
+      }
+
+      count = 0;
+    };
+
+    while (this.#peek().getType() !== TokenType.RPAREN) {
+      this.#next();
+
+      const element = this.#quoteForm();
+      if (
+        element !== null &&
+        element.name === "unquote-splicing" &&
+        level === 1
+      ) {
+        buildRun();
+        this.#sExpression();
+        this.#emit(Opcode.ADD);
+
+        if (element.isLong) {
+          this.#expect(TokenType.RPAREN, "expected closing parenthesis ')'");
+        }
+      } else {
+        this.#quasiquoted(level, element);
+        ++count;
+      }
+    }
+
+    /* Consume the ')' */
+    this.#next();
+
+    buildRun();
+  }
+
+  /* Checks if a quote form other than quote itself starts at the current token,
+   * either abbreviated (`x ,x ,@x) or written in full ((unquote x)). If so,
+   * moves on to the DATUM inside of it and returns its name, and whether it
+   * still has a closing parenthesis to be consumed. Returns null otherwise
+   *
+   * (quote x) is left to be read as a list, which holds the same
+   */
+  #quoteForm() {
+    const shorthand = this.#shorthand(this.#token);
+    if (shorthand !== null) {
+      this.#next();
+      return { name: shorthand, isLong: false };
+    }
+
+    if (this.#token.getType() !== TokenType.LPAREN) {
+      return null;
+    }
+
+    const head = this.#peek();
+    switch (head.getType()) {
+      case TokenType.QUASIQUOTE:
+      case TokenType.UNQUOTE:
+      case TokenType.UNQUOTE_SPLICING:
+        if (this.#shorthand(head) === null) {
+          this.#next();
+          this.#next();
+          return { name: head.getLexeme(), isLong: true };
+        }
+    }
+
+    return null;
   }
 
   /* Handles identifiers (variable name, function name, etc.) */
   #identifier() {
-    const value = this.#token.getLexeme();
-    const idx = this.#defineConstant(value);
-
-    this.#emit(Opcode.GET_VARIABLE, idx);
+    this.#emitGet(this.#token.getLexeme());
   }
 
   /* Handles strings */
@@ -521,6 +2344,33 @@ class Compiler {
     this.#emit(Opcode.GET_CONST, idx);
   }
 
+  /* Handles strings with interpolations ("a ${SEXPR} b ${SEXPR} c")
+   *
+   * Each string part is followed by the s-expression inside its interpolation,
+   * up until the last part (a regular string.) They're all converted to strings
+   * and concatenated together
+   */
+  #interpolation() {
+    let count = 0;
+    while (this.#token.getType() === TokenType.INTERPOLATION) {
+      this.#string();
+
+      /* Parse interpolated SEXPR */
+      this.#next();
+      this.#sExpression();
+      count += 2;
+
+      this.#next();
+      const type = this.#token.getType();
+      if (type !== TokenType.INTERPOLATION && type !== TokenType.STRING) {
+        this.#throw("expected closing '}' after interpolated expression");
+      }
+    }
+
+    this.#string();
+    this.#emit(Opcode.BUILD_STRING, count + 1);
+  }
+
   /* Handles numbers */
   #number() {
     const value = new NumberValue(this.#token.getLexeme());
@@ -552,10 +2402,84 @@ class Compiler {
     return this.#opcodes.length - 1;
   }
 
+  /* Emits a jump with a temporary offset, returning the index of the offset so
+   * that it can be patched later down
+   */
+  #emitJump(op) {
+    this.#emit(op, 0);
+    return this.#getFP();
+  }
+
+  /* Patches the offset of a jump so that it lands on *target* (by default, the
+   * next opcode to be emitted)
+   */
+  #patchJump(patch, target = this.#getFP() + 1) {
+    this.#opcodes[patch] = target - patch - 1;
+  }
+
+  /* Patches a list of jumps so that they land on *target* */
+  #patchJumps(patches, target = this.#getFP() + 1) {
+    for (const patch of patches) {
+      this.#patchJump(patch, target);
+    }
+  }
+
+  /* Emits a jump backwards to *target*, attributed to the loop keyword token
+   * (so that runaway loops can be pointed at)
+   */
+  #emitLoop(target, token) {
+    this.#emitAt(token, Opcode.LOOP, 0);
+    this.#patchJump(this.#getFP(), target);
+  }
+
+  /* Emits a call, keeping track of it in case it's a tail call
+   *
+   * Calls in try blocks can't be tail calls, as the function must still be
+   * running for its try block to catch what the call throws
+   */
+  #emitCall(token, ...ops) {
+    if (this.#tries.length === 0) {
+      this.#calls.push(this.#getFP() + 1);
+    }
+
+    this.#emitAt(token, ...ops);
+  }
+
+  /* Turns the calls of the function just compiled whose result it returns right
+   * away (maybe after some jumps, e.g. at the end of an if) into tail calls,
+   * which reuse the function's frame rather than piling up a new one
+   */
+  #tailCalls() {
+    for (const fp of this.#calls) {
+      const op = this.#opcodes[fp];
+
+      let next = fp + (op === Opcode.CALL ? 3 : 2);
+      while (this.#opcodes[next] === Opcode.JUMP) {
+        next += 2 + this.#opcodes[next + 1];
+      }
+
+      if (this.#opcodes[next] !== Opcode.RETURN) {
+        continue;
+      }
+
+      this.#opcodes[fp] =
+        op === Opcode.CALL ? Opcode.TAIL_CALL : Opcode.TAIL_CALL_VALUE;
+    }
+  }
+
   /* Emits opcodes and arguments */
   #emit(...ops) {
+    this.#emitAt(this.#token, ...ops);
+  }
+
+  /* Emits opcodes and arguments, attributing them to the position of a given
+   * token on the line table
+   */
+  #emitAt(token, ...ops) {
+    const position = [token.getLine(), token.getChar()];
     for (const op of ops) {
       this.#opcodes.push(op);
+      this.#lines.push(position);
     }
   }
 
@@ -584,8 +2508,14 @@ class Compiler {
 
   /* Throws an error */
   #throw(msg) {
-    const line = this.#token.getLine();
-    const char = this.#token.getChar();
-    throw new Error(`at ${line}:${char}: ${msg}`);
+    this.#throwAt(this.#token, msg);
+  }
+
+  /* Throws an error at the position of a token */
+  #throwAt(token, msg) {
+    const line = token.getLine();
+    const char = token.getChar();
+    const file = this.#name === MAIN_MODULE ? "" : ` (${this.#name}.gl)`;
+    throw new Error(`at ${line}:${char}${file}: ${msg}`);
   }
 }
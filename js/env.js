@@ -2,11 +2,24 @@
  * GameLISP environments
  */
 
+/* Envs hold variables in one of two ways:
+ * - By slot, for the Envs code runs in (the compiler resolves every variable to
+ *   a numbered slot in one of them)
+ * - By name, for libraries and built-ins, which are looked up when imported
+ */
 class Env {
   #env = null;
+  #slots = null;
+  #parent = null;
+
+  /* Slots holding constants, which can't be set again */
+  #constants = null;
 
-  constructor() {
+  constructor(parent = null) {
     this.#env = new Map();
+    this.#slots = [];
+    this.#parent = parent;
+    this.#constants = new Set();
   }
 
   /* Returns the Env map */
@@ -14,6 +27,42 @@ class Env {
     return this.#env;
   }
 
+  /* Returns the enclosing Env (or null, if this is the outermost one) */
+  getParent() {
+    return this.#parent;
+  }
+
+  /* Returns the Env *hops* levels out from this one */
+  getAncestor(hops) {
+    let env = this;
+    for (; hops > 0; --hops) {
+      env = env.#parent;
+    }
+
+    return env;
+  }
+
+  /* Returns the value in a slot */
+  getSlot(slot) {
+    return this.#slots[slot];
+  }
+
+  /* Sets the value in a slot */
+  setSlot(slot, v) {
+    this.#slots[slot] = v;
+  }
+
+  /* Sets the value in a slot, making it a constant */
+  defineConstant(slot, v) {
+    this.setSlot(slot, v);
+    this.#constants.add(slot);
+  }
+
+  /* Checks if a slot holds a constant */
+  isConstant(slot) {
+    return this.#constants.has(slot);
+  }
+
   /* Adds identifiers to the Env from an iterable Javascript object */
   addFromObject(kv) {
     for (const [k, v] of Object.entries(kv)) {
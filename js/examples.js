@@ -19,8 +19,11 @@ const BUILTIN_GAMES = {
 
 (import game)
 
-(let SPEED 2)
-(let POINTS_TO_WIN 5)
+# Things move a pixel or two at a time, so update often
+(set_update_rate 240)
+
+(const SPEED 2)
+(const POINTS_TO_WIN 5)
 
 (let x_ball 320)
 (let x_ball_speed (- SPEED))
@@ -107,12 +110,12 @@ const BUILTIN_GAMES = {
   ))
 
   # Player paddle hit ball?
-  (if (and (> x_ball 28) (and (< x_ball 48) (and (>= y_ball y_player) (<= y_ball (+ y_player 64))))) (
+  (if (and (> x_ball 28) (< x_ball 48) (>= y_ball y_player) (<= y_ball (+ y_player 64))) (
     (= x_ball_speed SPEED)
   ))
 
   # Opponent paddle hit ball?
-  (if (and (< x_ball 608) (and (> x_ball 580) (and (>= y_ball y_enemy) (<= y_ball (+ y_enemy 64))))) (
+  (if (and (< x_ball 608) (> x_ball 580) (>= y_ball y_enemy) (<= y_ball (+ y_enemy 64))) (
     (= x_ball_speed (- SPEED))
   ))
 
@@ -82,6 +82,38 @@ const TokenType = {
 
   IMPORT: 56,
 
+  TILDE: 57,
+  PIPE_EQUAL: 58,
+  AMPERSAND_EQUAL: 59,
+  CARET_EQUAL: 60,
+  LESS_LESS: 61,
+  LESS_LESS_EQUAL: 62,
+  GREATER_GREATER: 63,
+  GREATER_GREATER_EQUAL: 64,
+
+  COND: 65,
+  MATCH: 66,
+
+  TRY: 67,
+  CATCH: 68,
+  FINALLY: 69,
+  THROW: 70,
+
+  EXPORT: 71,
+
+  ELLIPSIS: 72,
+
+  QUOTE: 73,
+  QUASIQUOTE: 74,
+  UNQUOTE: 75,
+  UNQUOTE_SPLICING: 76,
+
+  DEFMACRO: 77,
+  MACROEXPAND: 78,
+
+  STRUCT: 79,
+  SET: 80,
+
   ERROR: 254,
   EOF: 255,
 };
@@ -136,10 +168,23 @@ class Lexer {
 
   #prev = null;
   #curr = null;
+  #ahead = [];
 
   #line = 1;
   #char = 1;
 
+  /* Position of the start of the token being lexed */
+  #startIdx = 0;
+  #startLine = 1;
+  #startChar = 1;
+
+  /* Stack of the string interpolations (${...}) being lexed, innermost last
+   * Each keeps track of how many braces were opened inside of it, and the line
+   * it started in
+   */
+  #interpolations = [];
+  #lastType = TokenType.ERROR;
+
   constructor(source) {
     this.#source = source;
 
@@ -159,9 +204,30 @@ class Lexer {
     return this.#curr;
   }
 
+  /* Returns the token after the current one, lexing it if needed */
+  peekNext() {
+    return this.peekAt(1);
+  }
+
+  /* Returns the token *offset* tokens after the current one, lexing up to it
+   * if needed
+   */
+  peekAt(offset) {
+    while (this.#ahead.length < offset) {
+      this.#ahead.push(this.#nextToken());
+    }
+
+    return offset === 0 ? this.#curr : this.#ahead[offset - 1];
+  }
+
   nextToken() {
     this.#prev = this.#curr;
-    this.#curr = this.#nextToken();
+    if (this.#ahead.length > 0) {
+      this.#curr = this.#ahead.shift();
+    } else {
+      this.#curr = this.#nextToken();
+    }
+
     return this.#prev;
   }
 
@@ -172,11 +238,29 @@ class Lexer {
 
   /* Wrapper for creating a new Token */
   createToken(type, value) {
-    return new Token(type, value, this.#line, this.#char);
+    this.#lastType = type;
+    return new Token(type, value, this.#startLine, this.#startChar);
   }
 
   #nextToken() {
     this.#skipSpaces();
+
+    this.#startIdx = this.#idx;
+    this.#startLine = this.#line;
+    this.#startChar = this.#char;
+
+    /* Interpolations must be closed in the same line they're opened in, just
+     * like the strings containing them
+     */
+    if (this.#interpolations.length > 0) {
+      const interpolation =
+        this.#interpolations[this.#interpolations.length - 1];
+      if (this.#reachedEndOfSource() || this.#line !== interpolation.line) {
+        this.#interpolations = [];
+        return this.createError("unterminated '${' in string");
+      }
+    }
+
     if (this.#reachedEndOfSource()) {
       return this.createToken(TokenType.EOF, "EOF");
     }
@@ -205,33 +289,66 @@ class Lexer {
       case "]":
         return this.createToken(TokenType.RBRACKET, char);
       case "{":
+        if (this.#interpolations.length > 0) {
+          this.#interpolations[this.#interpolations.length - 1].braces++;
+        }
         return this.createToken(TokenType.LBRACE, char);
       case "}":
+        if (this.#interpolations.length > 0) {
+          const interpolation =
+            this.#interpolations[this.#interpolations.length - 1];
+
+          /* This closes the interpolation, so the string continues */
+          if (interpolation.braces === 0) {
+            if (this.#lastType === TokenType.INTERPOLATION) {
+              return this.createError("empty '${}' in string");
+            }
+
+            this.#interpolations.pop();
+            return this.#lexString();
+          }
+
+          interpolation.braces--;
+        }
         return this.createToken(TokenType.RBRACE, char);
       case "$":
         return this.createToken(TokenType.DOLLAR, char);
       case "#":
         return this.createToken(TokenType.HASH, char);
       case ",":
+        if (this.#match("@")) {
+          return this.createToken(TokenType.UNQUOTE_SPLICING, this.#lexeme());
+        }
         return this.createToken(TokenType.COMMA, char);
+      case "'":
+        return this.createToken(TokenType.QUOTE, char);
+      case "`":
+        return this.createToken(TokenType.QUASIQUOTE, char);
       case ".":
+        if (this.#match(".")) {
+          if (this.#match(".")) {
+            return this.createToken(TokenType.ELLIPSIS, this.#lexeme());
+          }
+
+          return this.createError("expected '...'");
+        }
         return this.createToken(TokenType.DOT, char);
       case ";":
         return this.createToken(TokenType.SEMICOLON, char);
       case "+":
         return this.createToken(
           this.#match("=") ? TokenType.PLUS_EQUAL : TokenType.PLUS,
-          char,
+          this.#lexeme(),
         );
       case "-":
         return this.createToken(
           this.#match("=") ? TokenType.MINUS_EQUAL : TokenType.MINUS,
-          char,
+          this.#lexeme(),
         );
       case "*":
         return this.createToken(
           this.#match("=") ? TokenType.STAR_EQUAL : TokenType.STAR,
-          char,
+          this.#lexeme(),
         );
       case "/":
         if (this.#match("/")) {
@@ -239,17 +356,17 @@ class Lexer {
             this.#match("=")
               ? TokenType.SLASH_SLASH_EQUAL
               : TokenType.SLASH_SLASH,
-            char,
+            this.#lexeme(),
           );
         }
         return this.createToken(
           this.#match("=") ? TokenType.SLASH_EQUAL : TokenType.SLASH,
-          char,
+          this.#lexeme(),
         );
       case "%":
         return this.createToken(
           this.#match("=") ? TokenType.PERCENT_EQUAL : TokenType.PERCENT,
-          char,
+          this.#lexeme(),
         );
       case "?":
         return this.createToken(TokenType.QUESTION, char);
@@ -258,40 +375,70 @@ class Lexer {
       case "!":
         return this.createToken(
           this.#match("=") ? TokenType.BANG_EQUAL : TokenType.BANG,
-          char,
+          this.#lexeme(),
         );
       case "=":
         return this.createToken(
           this.#match("=") ? TokenType.EQUAL_EQUAL : TokenType.EQUAL,
-          char,
+          this.#lexeme(),
         );
       case "<":
+        if (this.#match("<")) {
+          return this.createToken(
+            this.#match("=") ? TokenType.LESS_LESS_EQUAL : TokenType.LESS_LESS,
+            this.#lexeme(),
+          );
+        }
         return this.createToken(
           this.#match("=") ? TokenType.LESS_EQUAL : TokenType.LESS,
-          char,
+          this.#lexeme(),
         );
       case ">":
+        if (this.#match(">")) {
+          return this.createToken(
+            this.#match("=")
+              ? TokenType.GREATER_GREATER_EQUAL
+              : TokenType.GREATER_GREATER,
+            this.#lexeme(),
+          );
+        }
         return this.createToken(
           this.#match("=") ? TokenType.GREATER_EQUAL : TokenType.GREATER,
-          char,
+          this.#lexeme(),
         );
       case "|":
+        if (this.#match("|")) {
+          return this.createToken(TokenType.OR, this.#lexeme());
+        }
         return this.createToken(
-          this.#match("|") ? TokenType.OR : TokenType.PIPE,
-          char,
+          this.#match("=") ? TokenType.PIPE_EQUAL : TokenType.PIPE,
+          this.#lexeme(),
         );
       case "&":
+        if (this.#match("&")) {
+          return this.createToken(TokenType.AND, this.#lexeme());
+        }
         return this.createToken(
-          this.#match("&") ? TokenType.AND : TokenType.AMPERSAND,
-          char,
+          this.#match("=") ? TokenType.AMPERSAND_EQUAL : TokenType.AMPERSAND,
+          this.#lexeme(),
         );
       case "^":
-        return this.createToken(TokenType.CARET, char);
+        return this.createToken(
+          this.#match("=") ? TokenType.CARET_EQUAL : TokenType.CARET,
+          this.#lexeme(),
+        );
+      case "~":
+        return this.createToken(TokenType.TILDE, char);
     }
 
     return this.createError(`invalid/unexpected character '${char}'`);
   }
 
+  /* Returns the source text of the token being lexed */
+  #lexeme() {
+    return this.#source.substring(this.#startIdx, this.#idx);
+  }
+
   /* Skips all whitespace/useless characters */
   #skipSpaces() {
     while (true) {
@@ -303,9 +450,9 @@ class Lexer {
           this.#advance();
           break;
         case "\n":
+          this.#advance();
           this.#line++;
           this.#char = 1;
-          this.#advance();
           break;
         case "#":
           this.#skipComment();
@@ -360,12 +507,45 @@ class Lexer {
         return this.createToken(TokenType.IF, identifier);
       case "else":
         return this.createToken(TokenType.ELSE, identifier);
+      case "cond":
+        return this.createToken(TokenType.COND, identifier);
+      case "match":
+        return this.createToken(TokenType.MATCH, identifier);
       case "let":
         return this.createToken(TokenType.LET, identifier);
       case "const":
         return this.createToken(TokenType.CONST, identifier);
       case "import":
         return this.createToken(TokenType.IMPORT, identifier);
+      case "export":
+        return this.createToken(TokenType.EXPORT, identifier);
+      case "try":
+        return this.createToken(TokenType.TRY, identifier);
+      case "catch":
+        return this.createToken(TokenType.CATCH, identifier);
+      case "finally":
+        return this.createToken(TokenType.FINALLY, identifier);
+      case "throw":
+        return this.createToken(TokenType.THROW, identifier);
+      case "quote":
+        return this.createToken(TokenType.QUOTE, identifier);
+      case "quasiquote":
+        return this.createToken(TokenType.QUASIQUOTE, identifier);
+      case "unquote":
+        return this.createToken(TokenType.UNQUOTE, identifier);
+      case "unquote-splicing":
+        return this.createToken(TokenType.UNQUOTE_SPLICING, identifier);
+      case "defmacro":
+        return this.createToken(TokenType.DEFMACRO, identifier);
+      case "macroexpand":
+        return this.createToken(TokenType.MACROEXPAND, identifier);
+      case "struct":
+        return this.createToken(TokenType.STRUCT, identifier);
+      case "set":
+        if (this.#matchWord("!")) {
+          return this.createToken(TokenType.SET, this.#lexeme());
+        }
+        break;
     }
 
     return this.createToken(TokenType.IDENTIFIER, identifier);
@@ -374,7 +554,15 @@ class Lexer {
   /* Reads the next identifier */
   #readIdentifier() {
     const start = this.#idx;
-    while (!this.#reachedEndOfSource() && this.#isIdentifier(this.#peek())) {
+    while (!this.#reachedEndOfSource()) {
+      /* Dashes join the words of a name, e.g. every-n-frames */
+      const char = this.#peek();
+      const isDash =
+        char == "-" && this.#isIdentifier(this.#source[this.#idx + 1]);
+      if (!this.#isIdentifier(char) && !isDash) {
+        break;
+      }
+
       this.#advance();
     }
 
@@ -482,7 +670,14 @@ class Lexer {
     return parseFloat(num);
   }
 
-  /* Lexes a string wrapped in quotes */
+  /* Lexes a string wrapped in quotes
+   *
+   * Strings containing interpolations ("a ${b} c") are split into multiple
+   * tokens: every part of the string preceding an interpolation is lexed as an
+   * INTERPOLATION token, followed by the tokens inside of it. Once it's closed,
+   * lexing continues from the rest of the string, with the last part being a
+   * regular STRING token
+   */
   #lexString() {
     let str = "";
 
@@ -497,6 +692,14 @@ class Lexer {
         break;
       }
 
+      if (char === "$" && this.#source[this.#idx + 1] === "{") {
+        this.#advance();
+        this.#advance();
+
+        this.#interpolations.push({ braces: 0, line: this.#line });
+        return this.createToken(TokenType.INTERPOLATION, str);
+      }
+
       if (char === "\\") {
         this.#advance();
 
@@ -529,6 +732,9 @@ class Lexer {
           case '"':
             str += '"';
             continue;
+          case "$":
+            str += "$";
+            continue;
           case "x":
             try {
               str += this.#readHexEscapeSequence();
@@ -600,6 +806,24 @@ class Lexer {
     return true;
   }
 
+  /* Consumes a word if the source continues with it (and it isn't just the
+   * start of a longer identifier)
+   */
+  #matchWord(word) {
+    const end = this.#idx + word.length;
+    if (
+      !this.#source.startsWith(word, this.#idx) ||
+      (end < this.#source.length && this.#isIdentifier(this.#source[end]))
+    ) {
+      return false;
+    }
+
+    for (let i = 0; i < word.length; ++i) {
+      this.#advance();
+    }
+    return true;
+  }
+
   /* Returns the current character */
   #peek() {
     return this.#source[this.#idx];
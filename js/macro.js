@@ -0,0 +1,572 @@
+/* GameLISP
+ * GameLISP macro expander
+ */
+
+"use strict";
+
+/* Most macro calls that can be expanded inside of one another, before a macro
+ * is assumed to be expanding to a call to itself forever
+ */
+const MAX_EXPANSION_DEPTH = 256;
+
+/* Javascript exception used to abort the expansion of a form, at the position
+ * of a token
+ */
+class ExpansionError extends Error {
+  #token = null;
+
+  constructor(token, message) {
+    super(message);
+    this.#token = token;
+  }
+
+  /* Returns the token the error happened at */
+  getToken() {
+    return this.#token;
+  }
+}
+
+/* Expander
+ * Stands in for the compiler's lexer, reading the source one top-level form at
+ * a time and expanding the macro calls in it before handing over its tokens
+ *
+ * Forms are read into trees, whose nodes are either tokens or:
+ * - Lists, for parenthesized forms ({ kind: "list", open, elements, close })
+ * - Quotes, for the shorthands of quote forms, like 'x ({ kind: "quote",
+ *   token, datum })
+ * - Groups, for array and dict literals and strings with interpolations, which
+ *   are passed to macros as a whole ({ kind: "group", elements })
+ *
+ * Macros are defined by the compiler (see Compiler.#initHandlers,) which is
+ * done compiling a form by the time the next one is read
+ */
+class Expander {
+  #lexer = null;
+  #compiler = null;
+
+  /* Tokens of the forms expanded so far, and the index of the current one */
+  #tokens = [];
+  #idx = 0;
+
+  /* How many macro calls are being expanded inside of one another */
+  #depth = 0;
+
+  constructor(lexer, compiler) {
+    this.#lexer = lexer;
+    this.#compiler = compiler;
+  }
+
+  /* Returns the current token */
+  peek() {
+    this.#fill(1);
+    return this.#tokens[this.#idx];
+  }
+
+  /* Returns the token after the current one */
+  peekNext() {
+    return this.peekAt(1);
+  }
+
+  /* Returns the token *offset* tokens after the current one */
+  peekAt(offset) {
+    this.#fill(offset + 1);
+    return this.#tokens[Math.min(this.#idx + offset, this.#tokens.length - 1)];
+  }
+
+  /* Returns the current token, moving on to the next one (the source ends with
+   * EOF tokens forever)
+   */
+  nextToken() {
+    this.#fill(1);
+
+    const token = this.#tokens[this.#idx];
+    if (!token.isEOF()) {
+      ++this.#idx;
+    }
+
+    return token;
+  }
+
+  /* Reads forms until there are at least *count* tokens left (or the source
+   * ends.) Forms which fail to expand are replaced by an error token
+   */
+  #fill(count) {
+    this.#tokens.splice(0, this.#idx);
+    this.#idx = 0;
+
+    while (this.#tokens.length < count) {
+      const last = this.#tokens[this.#tokens.length - 1];
+      if (last !== undefined && last.isEOF()) {
+        return;
+      }
+
+      try {
+        this.#flatten(this.#expand(this.#read()), this.#tokens);
+      } catch (error) {
+        if (!(error instanceof ExpansionError)) {
+          throw error;
+        }
+
+        const token = error.getToken();
+        this.#tokens.push(
+          new Token(
+            TokenType.ERROR,
+            error.message,
+            token.getLine(),
+            token.getChar(),
+          ),
+        );
+      }
+    }
+  }
+
+  /* Reads the next form from the source
+   *
+   * Unbalanced parentheses are left for the compiler to report
+   */
+  #read() {
+    const token = this.#lexer.nextToken();
+    if (this.#shorthand(token) !== null) {
+      return { kind: "quote", token: token, datum: this.#read() };
+    }
+
+    switch (token.getType()) {
+      case TokenType.LPAREN: {
+        const elements = [];
+        while (!this.#atClosing(TokenType.RPAREN)) {
+          elements.push(this.#read());
+        }
+
+        const close = this.#atEOF() ? null : this.#lexer.nextToken();
+        return { kind: "list", open: token, elements: elements, close: close };
+      }
+      case TokenType.LBRACKET:
+      case TokenType.LBRACE: {
+        const closing =
+          token.getType() === TokenType.LBRACKET
+            ? TokenType.RBRACKET
+            : TokenType.RBRACE;
+
+        /* Commas and colons separate the elements, rather than unquoting */
+        const elements = [token];
+        while (!this.#atClosing(closing)) {
+          const type = this.#lexer.peek().getType();
+          if (type === TokenType.COMMA || type === TokenType.COLON) {
+            elements.push(this.#lexer.nextToken());
+          } else {
+            elements.push(this.#read());
+          }
+        }
+
+        if (!this.#atEOF()) {
+          elements.push(this.#lexer.nextToken());
+        }
+        return { kind: "group", elements: elements };
+      }
+      case TokenType.INTERPOLATION: {
+        /* Each string part is followed by an interpolated form, up until the
+         * last part (a regular string)
+         */
+        const elements = [token, this.#read()];
+        while (this.#lexer.peek().getType() === TokenType.INTERPOLATION) {
+          elements.push(this.#lexer.nextToken(), this.#read());
+        }
+
+        if (this.#lexer.peek().getType() === TokenType.STRING) {
+          elements.push(this.#lexer.nextToken());
+        }
+        return { kind: "group", elements: elements };
+      }
+    }
+
+    return token;
+  }
+
+  /* Checks if the next token closes a form (or the source ended) */
+  #atClosing(type) {
+    return this.#lexer.peek().getType() === type || this.#atEOF();
+  }
+
+  /* Checks if the source ended */
+  #atEOF() {
+    return this.#lexer.peek().isEOF();
+  }
+
+  /* Returns the name of the quote form a token abbreviates, or null if it isn't
+   * a shorthand (see QUOTE_SHORTHANDS)
+   */
+  #shorthand(token) {
+    switch (token.getType()) {
+      case TokenType.QUOTE:
+      case TokenType.QUASIQUOTE:
+      case TokenType.COMMA:
+      case TokenType.UNQUOTE_SPLICING:
+        return QUOTE_SHORTHANDS.get(token.getLexeme()) ?? null;
+    }
+
+    return null;
+  }
+
+  /* Expands the macro calls in a node, returning the expanded node
+   *
+   * *level* counts the quasiquotes the node is in (see
+   * Compiler.#quasiquoted.) Quoted code is data, so only the unquoted parts
+   * of quasiquotes are expanded
+   */
+  #expand(node, level = 0) {
+    if (node instanceof Token) {
+      return node;
+    }
+
+    switch (node.kind) {
+      case "quote": {
+        const name = this.#shorthand(node.token);
+        const datum = this.#expandQuoted(name, node.datum, level);
+        return { kind: "quote", token: node.token, datum: datum };
+      }
+      case "list":
+        return this.#expandList(node, level);
+    }
+
+    const elements = node.elements.map((element) => {
+      return this.#expand(element, level);
+    });
+    return { kind: "group", elements: elements };
+  }
+
+  /* Expands the DATUM of a quote form */
+  #expandQuoted(name, datum, level) {
+    switch (name) {
+      case "quote":
+        return level === 0 ? datum : this.#expand(datum, level);
+      case "quasiquote":
+        return this.#expand(datum, level + 1);
+    }
+
+    return this.#expand(datum, Math.max(level - 1, 0));
+  }
+
+  /* Expands a list, which is a macro call if it's named after a macro */
+  #expandList(node, level) {
+    const [head, ...rest] = node.elements;
+
+    let elements = null;
+    if (head instanceof Token) {
+      switch (head.getType()) {
+        case TokenType.QUOTE:
+        case TokenType.QUASIQUOTE:
+        case TokenType.UNQUOTE:
+        case TokenType.UNQUOTE_SPLICING:
+          elements = [
+            head,
+            ...rest.map((datum) => {
+              return this.#expandQuoted(head.getLexeme(), datum, level);
+            }),
+          ];
+          break;
+        case TokenType.MACROEXPAND:
+          if (level === 0) {
+            return this.#macroexpand(node);
+          }
+          break;
+        case TokenType.IDENTIFIER:
+          if (level === 0 && this.#compiler.hasMacro(head.getLexeme())) {
+            return this.#expandCall(node);
+          }
+          break;
+      }
+    }
+
+    if (elements === null) {
+      elements = node.elements.map((element) => {
+        return this.#expand(element, level);
+      });
+    }
+
+    return {
+      kind: "list",
+      open: node.open,
+      elements: elements,
+      close: node.close,
+    };
+  }
+
+  /* Expands a macro call, and then the form it expanded to (which may call
+   * macros too)
+   */
+  #expandCall(node) {
+    const [head, ...forms] = node.elements;
+    const name = head.getLexeme();
+
+    if (this.#depth === MAX_EXPANSION_DEPTH) {
+      throw new ExpansionError(
+        head,
+        `too many nested expansions of ${name} (possible infinite recursion)`,
+      );
+    }
+
+    /* Values made from the forms are mapped back to them, so that the parts of
+     * the form returned which the macro just passed along keep their tokens
+     */
+    const sources = new Map();
+    const args = forms.map((form) => this.#toValue(form, sources));
+
+    let result;
+    try {
+      result = this.#compiler.callMacro(name, args, head);
+    } catch (error) {
+      throw new ExpansionError(head, `in macro ${name}: ${error.message}`);
+    }
+
+    ++this.#depth;
+    try {
+      return this.#expand(this.#toNode(result, sources, head, name));
+    } finally {
+      --this.#depth;
+    }
+  }
+
+  /* (macroexpand 'FORM)
+   *
+   * Results in the code FORM expands to, quoted, for debugging macros
+   */
+  #macroexpand(node) {
+    const [head, form] = node.elements;
+
+    let datum = null;
+    if (node.elements.length === 2 && form.kind === "quote") {
+      if (this.#shorthand(form.token) === "quote") {
+        datum = form.datum;
+      }
+    } else if (node.elements.length === 2 && form.kind === "list") {
+      const [quote, ...quoted] = form.elements;
+      if (quote.getType?.() === TokenType.QUOTE && quoted.length === 1) {
+        datum = quoted[0];
+      }
+    }
+
+    if (datum === null) {
+      throw new ExpansionError(
+        head,
+        "expected quoted form after 'macroexpand'",
+      );
+    }
+
+    const token = new Token(
+      TokenType.QUOTE,
+      "'",
+      head.getLine(),
+      head.getChar(),
+    );
+    return {
+      kind: "quote",
+      token: token,
+      datum: this.#quotable(this.#expand(datum)),
+    };
+  }
+
+  /* Returns the value a node is passed to macros as: lists of values, which
+   * are read from tokens like quoted code is (see quotedToken.) Groups become
+   * symbols holding their code
+   *
+   * Every value made is mapped to its node in *sources*
+   */
+  #toValue(node, sources) {
+    let value;
+    if (node instanceof Token) {
+      value = quotedToken(node);
+    } else if (node.kind === "list") {
+      value = new ListValue(
+        node.elements.map((element) => this.#toValue(element, sources)),
+      );
+    } else if (node.kind === "quote") {
+      value = new ListValue([
+        new SymbolValue(this.#shorthand(node.token)),
+        this.#toValue(node.datum, sources),
+      ]);
+    } else {
+      value = new SymbolValue(this.#text(node));
+    }
+
+    sources.set(value, node);
+    return value;
+  }
+
+  /* Returns the node for the value a macro returned. Values made from the
+   * forms it was called with get their nodes back; new ones get tokens at the
+   * position of the call (*token*)
+   */
+  #toNode(value, sources, token, name) {
+    const source = sources.get(value);
+    if (source !== undefined) {
+      return source;
+    }
+
+    const line = token.getLine();
+    const char = token.getChar();
+
+    switch (value.getType()) {
+      case ValueType.LIST:
+        return {
+          kind: "list",
+          open: new Token(TokenType.LPAREN, "(", line, char),
+          elements: value.getValue().map((element) => {
+            return this.#toNode(element, sources, token, name);
+          }),
+          close: new Token(TokenType.RPAREN, ")", line, char),
+        };
+      case ValueType.SYMBOL:
+        return this.#symbolToken(value.getValue(), line, char);
+      case ValueType.NUMBER:
+        return new Token(TokenType.NUMBER, value.getValue(), line, char);
+      case ValueType.STRING:
+        return new Token(TokenType.STRING, value.getValue(), line, char);
+      case ValueType.BOOL: {
+        const type = value.getValue() ? TokenType.TRUE : TokenType.FALSE;
+        return new Token(type, value.toString(), line, char);
+      }
+      case ValueType.NONE:
+        return new Token(TokenType.UNDEFINED, "undefined", line, char);
+    }
+
+    throw new ExpansionError(
+      token,
+      `macro ${name} expanded to ${value.repr()}, which isn't code`,
+    );
+  }
+
+  /* Returns the token a symbol stands for: the keyword or operator it's named
+   * after, or otherwise an identifier
+   */
+  #symbolToken(name, line, char) {
+    const lexer = new Lexer(name);
+    const token = lexer.peek();
+
+    let type = TokenType.IDENTIFIER;
+    if (token.getLexeme() === name && lexer.peekNext().isEOF()) {
+      type = token.getType();
+    }
+
+    return new Token(type, name, line, char);
+  }
+
+  /* Returns a node as it can be quoted, with its groups made into symbols
+   * holding their code (see #toValue)
+   */
+  #quotable(node) {
+    if (node instanceof Token) {
+      return node;
+    }
+
+    switch (node.kind) {
+      case "list":
+        return {
+          kind: "list",
+          open: node.open,
+          elements: node.elements.map((element) => this.#quotable(element)),
+          close: node.close,
+        };
+      case "quote":
+        return {
+          kind: "quote",
+          token: node.token,
+          datum: this.#quotable(node.datum),
+        };
+    }
+
+    const [first] = node.elements;
+    return new Token(
+      TokenType.IDENTIFIER,
+      this.#text(node),
+      first.getLine(),
+      first.getChar(),
+    );
+  }
+
+  /* Returns the code of a node, e.g. [1, (+ x 2)] */
+  #text(node) {
+    if (node instanceof Token) {
+      const lexeme = node.getLexeme();
+      return node.getType() === TokenType.STRING
+        ? `"${this.#escape(lexeme)}"`
+        : `${lexeme}`;
+    }
+
+    switch (node.kind) {
+      case "list": {
+        const elements = node.elements.map((element) => this.#text(element));
+        return `(${elements.join(" ")})`;
+      }
+      case "quote":
+        return node.token.getLexeme() + this.#text(node.datum);
+    }
+
+    /* Strings with interpolations */
+    const [first] = node.elements;
+    if (first.getType() === TokenType.INTERPOLATION) {
+      let text = '"';
+      node.elements.forEach((element, i) => {
+        if (element.getType?.() === TokenType.INTERPOLATION) {
+          text += `${i > 0 ? "}" : ""}${this.#escape(element.getLexeme())}\${`;
+        } else if (element.getType?.() === TokenType.STRING) {
+          text += `}${this.#escape(element.getLexeme())}`;
+        } else {
+          text += this.#text(element);
+        }
+      });
+
+      return `${text}"`;
+    }
+
+    /* Array and dict literals */
+    let text = "";
+    for (const element of node.elements) {
+      const type = element.getType?.();
+      if (type === TokenType.COMMA || type === TokenType.COLON) {
+        text += `${element.getLexeme()} `;
+      } else {
+        text += this.#text(element);
+      }
+    }
+
+    return text;
+  }
+
+  /* Escapes the characters of a string which can't be written as they are */
+  #escape(str) {
+    return str
+      .replace(/[\\"$]/g, "\\$&")
+      .replace(/\n/g, "\\n")
+      .replace(/\r/g, "\\r")
+      .replace(/\t/g, "\\t");
+  }
+
+  /* Appends the tokens of a node to a list */
+  #flatten(node, tokens) {
+    if (node instanceof Token) {
+      tokens.push(node);
+      return;
+    }
+
+    switch (node.kind) {
+      case "list":
+        tokens.push(node.open);
+        for (const element of node.elements) {
+          this.#flatten(element, tokens);
+        }
+
+        if (node.close !== null) {
+          tokens.push(node.close);
+        }
+        break;
+      case "quote":
+        tokens.push(node.token);
+        this.#flatten(node.datum, tokens);
+        break;
+      default:
+        for (const element of node.elements) {
+          this.#flatten(element, tokens);
+        }
+    }
+  }
+}
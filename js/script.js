@@ -14,6 +14,15 @@ const vm = new VM();
 
 let cachedHash = null;
 
+/* Name of the file which runs (the others can be imported by it) */
+const MAIN_FILE = "main.gl";
+
+/* Project files, mapping their names to their source code, and the one shown
+ * in the editor
+ */
+const files = { [MAIN_FILE]: "" };
+let currentFile = MAIN_FILE;
+
 /* Entry-point */
 function main() {
   loadGameLibrary();
@@ -30,6 +39,7 @@ function loadGameLibrary() {
 }
 /* Hooks up the editor callbacks */
 function hookEditorCallbacks() {
+  const editorFiles = document.getElementById("editor-files");
   const editorExamples = document.getElementById("editor-examples");
   for (const gameName of Object.keys(BUILTIN_GAMES)) {
     const option = document.createElement("option");
@@ -45,9 +55,33 @@ function hookEditorCallbacks() {
       return;
     }
 
+    /* Examples are whole programs, so they replace the main file */
+    switchToFile(MAIN_FILE);
+    editorFiles.value = MAIN_FILE;
+
     codeEditor.value = BUILTIN_GAMES[e.target.value];
   });
 
+  editorFiles.addEventListener("change", (e) => {
+    if (e.target.value === "new") {
+      const name = createFile();
+      if (name === null) {
+        e.target.value = currentFile;
+        return;
+      }
+
+      const option = document.createElement("option");
+
+      option.text = name;
+      option.setAttribute("value", name);
+
+      editorFiles.insertBefore(option, e.target.lastElementChild);
+      e.target.value = name;
+    }
+
+    switchToFile(e.target.value);
+  });
+
   const editorCredits = document.getElementById("editor-credits-button");
   editorCredits.addEventListener("click", () => {
     creditsDialog.showModal();
@@ -102,20 +136,53 @@ function switchToPlayIcon() {
   runnerPlayPauseIcon.setAttribute("alt", "Play");
 }
 
+/* Asks for the name of a new project file, and adds it to the project
+ *
+ * Files are imported by name, so it must be a valid identifier. Returns the
+ * name of the file (or null, if none was created)
+ */
+function createFile() {
+  const name = prompt("Name of the new file:");
+  if (name === null || !/^[A-Za-z_]\w*(-\w+)*$/.test(name)) {
+    return null;
+  }
+
+  const fileName = `${name}.gl`;
+  if (fileName in files) {
+    return null;
+  }
+
+  files[fileName] = "";
+  return fileName;
+}
+
+/* Shows a project file in the editor, keeping the changes to the current one */
+function switchToFile(fileName) {
+  files[currentFile] = codeEditor.value;
+
+  currentFile = fileName;
+  codeEditor.value = files[fileName];
+}
+
 /* Loads code into the VM if needed */
 function loadIfNeeded() {
-  const source = codeEditor.value.trim();
+  files[currentFile] = codeEditor.value;
+
+  const source = files[MAIN_FILE].trim();
+  const imports = { ...files };
+  delete imports[MAIN_FILE];
+
+  const hashed = cyrb53(JSON.stringify(files));
   if (!vm.isStopped()) {
     if (cachedHash !== null) {
-      const hashed = cyrb53(source);
       if (hashed === cachedHash) {
         return;
       }
     }
   }
 
-  vm.load(source);
-  cachedHash = cyrb53(source);
+  vm.load(source, imports);
+  cachedHash = hashed;
 }
 
 /* Prints a string to the console with a newline */
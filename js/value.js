@@ -14,6 +14,10 @@ const ValueType = {
   DICT: 6,
   NONE: 7,
   TYPE: 8,
+  MODULE: 9,
+  SYMBOL: 10,
+  LIST: 11,
+  STRUCT: 12,
   ERROR: 255,
 };
 
@@ -37,6 +41,14 @@ function valueTypeToString(type) {
       return "none";
     case ValueType.TYPE:
       return "type";
+    case ValueType.MODULE:
+      return "module";
+    case ValueType.SYMBOL:
+      return "symbol";
+    case ValueType.LIST:
+      return "list";
+    case ValueType.STRUCT:
+      return "struct";
     case ValueType.ERROR:
       return "error";
   }
@@ -81,6 +93,30 @@ class Value {
     return new ErrorValue(`cannot perform ${this} % ${rhs}`);
   }
 
+  bitAnd(rhs) {
+    return new ErrorValue(`cannot perform ${this} & ${rhs}`);
+  }
+
+  bitOr(rhs) {
+    return new ErrorValue(`cannot perform ${this} | ${rhs}`);
+  }
+
+  bitXor(rhs) {
+    return new ErrorValue(`cannot perform ${this} ^ ${rhs}`);
+  }
+
+  bitNot() {
+    return new ErrorValue(`cannot perform ~${this}`);
+  }
+
+  shiftLeft(rhs) {
+    return new ErrorValue(`cannot perform ${this} << ${rhs}`);
+  }
+
+  shiftRight(rhs) {
+    return new ErrorValue(`cannot perform ${this} >> ${rhs}`);
+  }
+
   negate() {
     return new ErrorValue(`cannot perform -${this}`);
   }
@@ -139,6 +175,18 @@ class Value {
     return new ErrorValue(`cannot access ${this}.${rhs}`);
   }
 
+  setDot(rhs, _) {
+    return new ErrorValue(`cannot assign to ${this}.${rhs}`);
+  }
+
+  len() {
+    return new ErrorValue(`cannot get length of ${this}`);
+  }
+
+  iter() {
+    return new ErrorValue(`cannot iterate over ${this}`);
+  }
+
   truthy() {
     return new ErrorValue(`cannot determine truthy-ness of ${this}`);
   }
@@ -147,6 +195,11 @@ class Value {
     return this.#type;
   }
 
+  /* Returns the representation of the value when inside of a collection */
+  repr() {
+    return this.toString();
+  }
+
   toString() {
     return `Value(${this.#type}, ${this.getValue()})`;
   }
@@ -265,6 +318,51 @@ class NumberValue extends Value {
     return super.mod(rhs);
   }
 
+  /* Bitwise operations work on numbers as 32-bit integers */
+  bitAnd(rhs) {
+    if (rhs.getType() === ValueType.NUMBER) {
+      return new NumberValue(this.getValue() & rhs.getValue());
+    }
+
+    return super.bitAnd(rhs);
+  }
+
+  bitOr(rhs) {
+    if (rhs.getType() === ValueType.NUMBER) {
+      return new NumberValue(this.getValue() | rhs.getValue());
+    }
+
+    return super.bitOr(rhs);
+  }
+
+  bitXor(rhs) {
+    if (rhs.getType() === ValueType.NUMBER) {
+      return new NumberValue(this.getValue() ^ rhs.getValue());
+    }
+
+    return super.bitXor(rhs);
+  }
+
+  bitNot() {
+    return new NumberValue(~this.getValue());
+  }
+
+  shiftLeft(rhs) {
+    if (rhs.getType() === ValueType.NUMBER) {
+      return new NumberValue(this.getValue() << rhs.getValue());
+    }
+
+    return super.shiftLeft(rhs);
+  }
+
+  shiftRight(rhs) {
+    if (rhs.getType() === ValueType.NUMBER) {
+      return new NumberValue(this.getValue() >> rhs.getValue());
+    }
+
+    return super.shiftRight(rhs);
+  }
+
   negate() {
     return new NumberValue(-this.getValue());
   }
@@ -351,7 +449,7 @@ class StringValue extends Value {
       const str = this.getValue();
       const index = rhs.getValue();
 
-      if (index >= str.length) {
+      if (!Number.isInteger(index) || index < 0 || index >= str.length) {
         return new ErrorValue(`"${this}".${index} is out of bounds`);
       }
 
@@ -361,10 +459,23 @@ class StringValue extends Value {
     return super.dot(rhs);
   }
 
+  len() {
+    return new NumberValue(this.getValue().length);
+  }
+
+  iter() {
+    const chars = Array.from(this.getValue(), (c) => new StringValue(c));
+    return new ArrayValue(chars);
+  }
+
   truthy() {
     return new BoolValue(this.getValue().length !== 0);
   }
 
+  repr() {
+    return JSON.stringify(this.getValue());
+  }
+
   toString() {
     return this.getValue();
   }
@@ -372,18 +483,72 @@ class StringValue extends Value {
 
 class FunctionValue extends Value {
   #name = () => {};
-  #args = {};
+  #params = {};
   #code = [];
-
-  constructor(name, args, code) {
+  #lines = [];
+  #env = null;
+  #module = null;
+
+  /* *params* holds the parameter names, how many of them are required (the
+   * rest being optional) and whether the last one collects remaining arguments
+   * (see Compiler.#parameter)
+   */
+  constructor(name, params, code, lines, env = null, module = null) {
     super(ValueType.FUNCTION);
     this.#name = name;
-    this.#args = args;
+    this.#params = params;
     this.#code = code;
+    this.#lines = lines;
+    this.#env = env;
+    this.#module = module;
+  }
+
+  /* Creates a closure of this function, capturing the given Env and the module
+   * it was defined in (see VM.#createModule)
+   */
+  bind(env, module) {
+    return new FunctionValue(
+      this.#name,
+      this.#params,
+      this.#code,
+      this.#lines,
+      env,
+      module,
+    );
   }
 
+  /* Returns the line table of the function code (see Compiler.getLines) */
+  getLines() {
+    return this.#lines;
+  }
+
+  /* Returns the Env the function was defined in */
+  getEnv() {
+    return this.#env;
+  }
+
+  /* Returns the module the function was defined in */
+  getModule() {
+    return this.#module;
+  }
+
+  /* Returns the number of arguments the function takes, or -1 if it takes a
+   * varying number (like native functions; see getArgRange)
+   */
   getArity() {
-    return this.#args.length;
+    const { names, required, hasRest } = this.#params;
+    return required === names.length && !hasRest ? required : -1;
+  }
+
+  /* Returns the least and most arguments the function can be called with */
+  getArgRange() {
+    const { names, required, hasRest } = this.#params;
+    return [required, hasRest ? Infinity : names.length];
+  }
+
+  /* Checks if the last parameter collects the remaining arguments */
+  hasRest() {
+    return this.#params.hasRest;
   }
 
   getName() {
@@ -391,22 +556,25 @@ class FunctionValue extends Value {
   }
 
   getArgs() {
-    return this.#args;
+    return this.#params.names;
   }
 
+  /* User functions run in the VM, so they aren't called through *call* */
   getValue() {
     return this.#code;
   }
 
-  call(args) {
-    return args;
-  }
-
   toString() {
+    const { names, required, hasRest } = this.#params;
+
     let asString = this.getName() + "(";
-    for (const arg of this.getArgs()) {
-      asString += `${arg}, `;
-    }
+    names.forEach((arg, i) => {
+      if (hasRest && i === names.length - 1) {
+        asString += `...${arg}, `;
+      } else {
+        asString += i < required ? `${arg}, ` : `${arg}?, `;
+      }
+    });
     asString += ")";
 
     return asString;
@@ -454,6 +622,7 @@ class ArrayValue extends Value {
   #value = [];
 
   constructor(value) {
+    super(ValueType.ARRAY);
     this.#value = value;
   }
 
@@ -461,19 +630,121 @@ class ArrayValue extends Value {
     return this.#value;
   }
 
+  add(rhs) {
+    if (rhs.getType() === ValueType.ARRAY) {
+      return new ArrayValue(this.getValue().concat(rhs.getValue()));
+    }
+
+    return super.add(rhs);
+  }
+
+  eq(rhs) {
+    if (rhs.getType() !== ValueType.ARRAY) {
+      return super.eq(rhs);
+    }
+
+    const a = this.getValue();
+    const b = rhs.getValue();
+    if (a.length !== b.length) {
+      return new BoolValue(false);
+    }
+
+    for (let i = 0; i < a.length; ++i) {
+      if (a[i].eq(b[i]).getValue() !== true) {
+        return new BoolValue(false);
+      }
+    }
+
+    return new BoolValue(true);
+  }
+
   dot(rhs) {
     if (rhs.getType() === ValueType.NUMBER) {
-      return this.getValue()[rhs.getValue()];
+      const arr = this.getValue();
+      const index = rhs.getValue();
+
+      if (!Number.isInteger(index) || index < 0 || index >= arr.length) {
+        return new ErrorValue(`${this}.${index} is out of bounds`);
+      }
+
+      return arr[index];
     }
 
     return super.dot(rhs);
   }
+
+  setDot(rhs, value) {
+    if (rhs.getType() === ValueType.NUMBER) {
+      const arr = this.getValue();
+      const index = rhs.getValue();
+
+      if (!Number.isInteger(index) || index < 0 || index >= arr.length) {
+        return new ErrorValue(`${this}.${index} is out of bounds`);
+      }
+
+      arr[index] = value;
+      return value;
+    }
+
+    return super.setDot(rhs, value);
+  }
+
+  len() {
+    return new NumberValue(this.getValue().length);
+  }
+
+  iter() {
+    return this;
+  }
+
+  truthy() {
+    return new BoolValue(this.getValue().length !== 0);
+  }
+
+  toString() {
+    const elements = this.getValue().map((v) => v.repr());
+    return `[${elements.join(", ")}]`;
+  }
 }
 
-class DictValue extends Value {
+/* Symbols are names, as written in quoted code (see Compiler.#datum) */
+class SymbolValue extends Value {
+  #value = "";
+
+  constructor(value) {
+    super(ValueType.SYMBOL);
+    this.#value = value;
+  }
+
+  getValue() {
+    return this.#value;
+  }
+
+  eq(rhs) {
+    if (rhs.getType() === ValueType.SYMBOL) {
+      return new BoolValue(this.getValue() === rhs.getValue());
+    }
+
+    return super.eq(rhs);
+  }
+
+  truthy() {
+    return new BoolValue(true);
+  }
+
+  toString() {
+    return this.getValue();
+  }
+}
+
+/* Lists are quoted s-expressions, holding the values and symbols written in
+ * them. They're read like arrays, but print as code
+ */
+class ListValue extends Value {
   #value = [];
 
   constructor(value) {
+    super(ValueType.LIST);
     this.#value = value;
   }
 
@@ -481,12 +752,172 @@ class DictValue extends Value {
     return this.#value;
   }
 
+  /* Arrays can be added to lists too, which is how quasiquotes splice them */
+  add(rhs) {
+    const type = rhs.getType();
+    if (type === ValueType.LIST || type === ValueType.ARRAY) {
+      return new ListValue(this.getValue().concat(rhs.getValue()));
+    }
+
+    return super.add(rhs);
+  }
+
+  eq(rhs) {
+    if (rhs.getType() !== ValueType.LIST) {
+      return super.eq(rhs);
+    }
+
+    return new ArrayValue(this.getValue()).eq(new ArrayValue(rhs.getValue()));
+  }
+
   dot(rhs) {
-    return this.getValue()[rhs.getValue()];
+    if (rhs.getType() === ValueType.NUMBER) {
+      const list = this.getValue();
+      const index = rhs.getValue();
+
+      if (!Number.isInteger(index) || index < 0 || index >= list.length) {
+        return new ErrorValue(`${this}.${index} is out of bounds`);
+      }
+
+      return list[index];
+    }
+
+    return super.dot(rhs);
+  }
+
+  len() {
+    return new NumberValue(this.getValue().length);
+  }
+
+  iter() {
+    return new ArrayValue([...this.getValue()]);
+  }
+
+  truthy() {
+    return new BoolValue(this.getValue().length !== 0);
+  }
+
+  toString() {
+    const elements = this.getValue().map((v) => v.repr());
+    return `(${elements.join(" ")})`;
+  }
+}
+
+/* Dictionaries map keys to values
+ *
+ * Only bools, numbers and strings can be used as keys. Entries are stored in a
+ * Javascript Map, indexed by the raw value of the key, as [KEY, VALUE] pairs
+ */
+class DictValue extends Value {
+  #value = new Map();
+
+  constructor(value) {
+    super(ValueType.DICT);
+    this.#value = value;
+  }
+
+  /* Returns the raw value used to index an entry, or null if the key can't be
+   * used as a key
+   */
+  static toKey(key) {
+    switch (key.getType()) {
+      case ValueType.BOOL:
+      case ValueType.NUMBER:
+      case ValueType.STRING:
+        return key.getValue();
+    }
+
+    return null;
+  }
+
+  getValue() {
+    return this.#value;
+  }
+
+  /* Sets the value of a key, returning an error if the key is invalid */
+  set(key, value) {
+    const k = DictValue.toKey(key);
+    if (k === null) {
+      return new ErrorValue(`${key} cannot be used as a dict key`);
+    }
+
+    this.#value.set(k, [key, value]);
+    return value;
+  }
+
+  add(rhs) {
+    if (rhs.getType() === ValueType.DICT) {
+      return new DictValue(new Map([...this.getValue(), ...rhs.getValue()]));
+    }
+
+    return super.add(rhs);
+  }
+
+  eq(rhs) {
+    if (rhs.getType() !== ValueType.DICT) {
+      return super.eq(rhs);
+    }
+
+    const a = this.getValue();
+    const b = rhs.getValue();
+    if (a.size !== b.size) {
+      return new BoolValue(false);
+    }
+
+    for (const [k, [_, v]] of a) {
+      if (!b.has(k) || v.eq(b.get(k)[1]).getValue() !== true) {
+        return new BoolValue(false);
+      }
+    }
+
+    return new BoolValue(true);
+  }
+
+  dot(rhs) {
+    const k = DictValue.toKey(rhs);
+    if (k === null) {
+      return new ErrorValue(`${rhs} cannot be used as a dict key`);
+    }
+
+    const entry = this.getValue().get(k);
+    if (entry === undefined) {
+      return new ErrorValue(`${this} has no key ${rhs.repr()}`);
+    }
+
+    return entry[1];
+  }
+
+  setDot(rhs, value) {
+    return this.set(rhs, value);
+  }
+
+  len() {
+    return new NumberValue(this.getValue().size);
+  }
+
+  iter() {
+    return new ArrayValue(Array.from(this.getValue().values(), ([k, _]) => k));
+  }
+
+  truthy() {
+    return new BoolValue(this.getValue().size !== 0);
+  }
+
+  toString() {
+    const entries = [];
+    for (const [key, value] of this.getValue().values()) {
+      entries.push(`${key.repr()}: ${value.repr()}`);
+    }
+
+    return `{${entries.join(", ")}}`;
   }
 }
 
 class UndefinedValue extends Value {
+  constructor() {
+    super(ValueType.NONE);
+  }
+
   getValue() {
     throw new Error("can't get undefined value");
   }
@@ -494,6 +925,10 @@ class UndefinedValue extends Value {
   truthy() {
     return new BoolValue(false);
   }
+
+  toString() {
+    return "undefined";
+  }
 }
 
 class TypeValue extends Value {
@@ -516,6 +951,12 @@ class TypeValue extends Value {
   }
 
   call(args) {
+    if (args.length !== 1) {
+      return new ErrorValue(
+        `error casting to ${this} (expected 1 argument, received ${args.length})`,
+      );
+    }
+
     const value = args[0];
     if (value.getType() === this.getValue()) {
       return value;
@@ -529,19 +970,241 @@ class TypeValue extends Value {
   }
 }
 
+/* Struct types are declared by *struct*, with the names of their fields.
+ * Calling one makes a struct of that type, from a value for each field (in
+ * order)
+ */
+class StructTypeValue extends TypeValue {
+  #name = "";
+  #fields = [];
+
+  constructor(name, fields) {
+    super(ValueType.STRUCT, () => {});
+    this.#name = name;
+    this.#fields = fields;
+  }
+
+  getName() {
+    return this.#name;
+  }
+
+  /* Returns the names of the fields */
+  getFields() {
+    return this.#fields;
+  }
+
+  is(rhs) {
+    return new BoolValue(
+      rhs.getType() === ValueType.STRUCT && rhs.getStructType() === this,
+    );
+  }
+
+  call(args) {
+    if (args.length !== this.#fields.length) {
+      return new ErrorValue(
+        `error calling ${this.#name} (expected ${this.#fields.length} arguments, received ${args.length})`,
+      );
+    }
+
+    return new StructValue(this, args);
+  }
+
+  toString() {
+    return `<struct ${this.#name}>`;
+  }
+}
+
+/* Structs hold a value for each field of their type, which are accessed and
+ * assigned to with the *.* operator, by name (a symbol or a string)
+ */
+class StructValue extends Value {
+  #structType = null;
+  #value = [];
+
+  constructor(structType, value) {
+    super(ValueType.STRUCT);
+    this.#structType = structType;
+    this.#value = value;
+  }
+
+  getValue() {
+    return this.#value;
+  }
+
+  /* Returns the type the struct was made by */
+  getStructType() {
+    return this.#structType;
+  }
+
+  eq(rhs) {
+    if (
+      rhs.getType() !== ValueType.STRUCT ||
+      rhs.getStructType() !== this.#structType
+    ) {
+      return super.eq(rhs);
+    }
+
+    const a = this.getValue();
+    const b = rhs.getValue();
+    for (let i = 0; i < a.length; ++i) {
+      if (a[i].eq(b[i]).getValue() !== true) {
+        return new BoolValue(false);
+      }
+    }
+
+    return new BoolValue(true);
+  }
+
+  dot(rhs) {
+    const idx = this.#fieldIndex(rhs);
+    if (idx === -1) {
+      return this.#noField(rhs);
+    }
+
+    return this.#value[idx];
+  }
+
+  setDot(rhs, value) {
+    const idx = this.#fieldIndex(rhs);
+    if (idx === -1) {
+      return this.#noField(rhs);
+    }
+
+    this.#value[idx] = value;
+    return value;
+  }
+
+  truthy() {
+    return new BoolValue(true);
+  }
+
+  /* Returns the index of the field named by a string or symbol (or -1, if
+   * there's no such field)
+   */
+  #fieldIndex(rhs) {
+    switch (rhs.getType()) {
+      case ValueType.STRING:
+      case ValueType.SYMBOL:
+        return this.#structType.getFields().indexOf(rhs.getValue());
+    }
+
+    return -1;
+  }
+
+  #noField(rhs) {
+    return new ErrorValue(
+      `${this.#structType.getName()} has no field ${rhs.repr()}`,
+    );
+  }
+
+  toString() {
+    const fields = this.#structType.getFields().map((field, i) => {
+      return `${field}: ${this.#value[i].repr()}`;
+    });
+
+    return `${this.#structType.getName()} {${fields.join(", ")}}`;
+  }
+}
+
+/* Modules are imported libraries and project files. Their members (the names
+ * exported by files, or everything in a library) are held in an Env, and are
+ * accessed with the *.* operator
+ */
+class ModuleValue extends Value {
+  #name = "";
+  #env = null;
+
+  constructor(name, env) {
+    super(ValueType.MODULE);
+    this.#name = name;
+    this.#env = env;
+  }
+
+  getValue() {
+    return this.#env;
+  }
+
+  getName() {
+    return this.#name;
+  }
+
+  dot(rhs) {
+    if (rhs.getType() !== ValueType.STRING) {
+      return super.dot(rhs);
+    }
+
+    const name = rhs.getValue();
+    if (!this.#env.hasIdentifier(name)) {
+      return new ErrorValue(`module '${this.#name}' has no member '${name}'`);
+    }
+
+    return this.#env.getIdentifier(name);
+  }
+
+  toString() {
+    return `<module ${this.#name}>`;
+  }
+}
+
+/* Errors are returned by operations which fail (e.g. adding a number to an
+ * array,) and are thrown by the VM. Caught errors can be inspected through their
+ * "message", "line" and "char" members
+ */
 class ErrorValue extends Value {
   #value = null;
+  #position = null;
 
-  constructor(value) {
+  constructor(value, position = null) {
     super(ValueType.ERROR);
     this.#value = value;
+    this.#position = position;
   }
 
   getValue() {
-    throw new Error(this.#value);
+    return this.#value;
+  }
+
+  /* Returns the error message */
+  getMessage() {
+    return this.#value;
+  }
+
+  /* Returns the [line, char] position the error happened at (or null, if it's
+   * not known)
+   */
+  getPosition() {
+    return this.#position;
+  }
+
+  dot(rhs) {
+    if (rhs.getType() === ValueType.STRING) {
+      switch (rhs.getValue()) {
+        case "message":
+          return new StringValue(this.#value);
+        case "line":
+          return this.#positionPart(0);
+        case "char":
+          return this.#positionPart(1);
+      }
+    }
+
+    return super.dot(rhs);
+  }
+
+  #positionPart(idx) {
+    if (this.#position === null) {
+      return new UndefinedValue();
+    }
+
+    return new NumberValue(this.#position[idx]);
   }
 
   toString() {
-    return `ERR: ${this.getValue()}`;
+    if (this.#position === null) {
+      return this.#value;
+    }
+
+    const [line, char] = this.#position;
+    return `at ${line}:${char}: ${this.#value}`;
   }
 }
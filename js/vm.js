@@ -4,20 +4,29 @@
 
 "use strict";
 
-const KERNEL = `
-(while true (
-  (if (__needs_update) (
-    (update)
-  ))
-  (if (__needs_draw) (
-    (clear)
-    (draw)
-  ))
-))
-`;
-
-const UPDATE_INTERVAL = 2;
-const DRAW_INTERVAL = 1000.0 / 60.0;
+/* Rate at which the update function is called, in updates per second */
+const DEFAULT_UPDATE_RATE = 60;
+
+/* Longest a frame can take, in seconds, as far as the game loop is concerned
+ *
+ * If the game falls further behind (e.g. the tab was in the background,) the
+ * extra time is skipped rather than caught up with
+ */
+const MAX_FRAME_TIME = 0.25;
+
+/* Most instructions the main program or a single callback may run before being
+ * aborted, as it's most likely stuck in an infinite loop (which would otherwise
+ * hang the page)
+ */
+const DEFAULT_INSTRUCTION_BUDGET = 5000000;
+
+/* Most frames (the main program's, and one per function call) that can be
+ * running at once, before the VM gives up on runaway recursion
+ */
+const MAX_CALL_DEPTH = 1024;
+
+/* Most calls shown in a traceback (the middle of deep recursion is left out) */
+const MAX_TRACEBACK_LINES = 16;
 
 const VMStatus = {
   STOPPED: 0,
@@ -25,29 +34,80 @@ const VMStatus = {
   RUNNING: 2,
 };
 
+/* Javascript exception used to throw a value out of the op being run, so that
+ * it can be caught by a try block (see VM.#catch)
+ */
+class ThrownValue extends Error {
+  #value = null;
+
+  constructor(value, message) {
+    super(message);
+    this.#value = value;
+  }
+
+  /* Returns the value being thrown */
+  getValue() {
+    return this.#value;
+  }
+}
+
 class VM {
-  #updateIntervalID = -1;
-  #drawIntervalID = -1;
+  #frameRequestID = -1;
 
   #status = VMStatus.STOPPED;
 
   #frames = [];
   #frameIdx = 0;
   #fp = 0;
+  #opFp = 0;
 
-  #needsUpdate = true;
-  #needsDraw = true;
+  /* Game loop state
+   *
+   * Once the main program ends, the game loop calls the update function at a
+   * fixed rate and the draw function once per frame. The callbacks it's about
+   * to call are queued in *callbacks*
+   */
+  #mainDone = false;
+  #callbacks = [];
+  #updateRate = DEFAULT_UPDATE_RATE;
+  #lastFrameTime = null;
+  #accumulator = 0;
+  #frameCount = 0;
+  #elapsedTime = 0;
+
+  /* The clear function of the library the program imported (if any,) which
+   * the game loop calls before drawing each frame
+   */
+  #clear = null;
+
+  /* Instructions run by the main program or the current callback (whose name
+   * is kept for error messages,) and how many they may run
+   */
+  #runningName = "<main>";
+  #instructionCount = 0;
+  #instructionBudget = DEFAULT_INSTRUCTION_BUDGET;
 
-  #constants = [];
   #libraries = {};
+  #builtins = null;
+
+  /* Symbols made by gensym so far */
+  #gensymCount = 0;
+
   #envs = [];
+
+  /* The main program's module, the modules of the project files it imports (by
+   * name,) and the module of the code currently running (see #createModule)
+   */
+  #main = null;
+  #modules = new Map();
+  #module = null;
   #stack = [];
 
   #handlers = null;
 
   constructor() {
     this.#initHandlers();
-    this.#initGlobalEnv();
+    this.#initBuiltins();
   }
 
   /* Adds an importable library */
@@ -55,22 +115,98 @@ class VM {
     this.#libraries[modName] = mod;
   }
 
-  /* Loads source code */
-  load(source) {
+  /* Loads source code, along with the project files it may import (see
+   * Compiler)
+   */
+  load(source, files = {}) {
     this.stop();
 
-    source += KERNEL;
-
-    const compiler = new Compiler(source);
+    const compiler = new Compiler(source, files);
     compiler.compile();
 
-    this.#frames = [compiler.getOpcodes()];
-    this.#frameIdx = 0;
+    this.#frames = [];
+    this.#frameIdx = -1;
     this.#fp = 0;
+    this.#stack = [];
+
+    this.#main = this.#createModule(compiler);
+    this.#modules = new Map();
+    for (const [name, module] of compiler.getModules()) {
+      this.#modules.set(name, this.#createModule(module));
+    }
 
-    this.#constants = compiler.getConstants();
+    this.#pushFrame("<main>", this.#main.code, this.#main.lines, this.#main);
+    this.#envs = [new Env()];
 
-    this.#initGlobalEnv();
+    this.#mainDone = false;
+    this.#callbacks = [];
+    this.#updateRate = DEFAULT_UPDATE_RATE;
+    this.#accumulator = 0;
+    this.#frameCount = 0;
+    this.#elapsedTime = 0;
+    this.#clear = null;
+
+    this.#runningName = "<main>";
+    this.#instructionCount = 0;
+    this.#instructionBudget = DEFAULT_INSTRUCTION_BUDGET;
+  }
+
+  /* Calls a function right away, outside of the game loop, returning its
+   * result. The function must have been compiled by *compiler*, and runs with
+   * its program's constants and globals
+   *
+   * This is how macros run while their program is being compiled (see
+   * Compiler.callMacro,) so errors are thrown rather than printed. They're
+   * reported at *position*, where the function is called from
+   */
+  callFunction(compiler, fn, args, position) {
+    const module = this.#createModule(compiler);
+
+    this.#main = module;
+    this.#modules = new Map();
+    this.#mainDone = false;
+
+    this.#frames = [];
+    this.#frameIdx = -1;
+    this.#fp = 0;
+    this.#opFp = 0;
+    this.#stack = [];
+    this.#envs = [new Env()];
+
+    this.#runningName = fn.getName();
+    this.#instructionCount = 0;
+
+    /* The function returns to a frame which runs no code of its own */
+    this.#pushFrame(`<${fn.getName()}>`, [], [position], module);
+
+    for (const arg of args) {
+      this.#push(arg);
+    }
+    this.#call(fn.bind(new Env(), module), args.length, fn.getName());
+
+    while (this.#frameIdx > 0) {
+      try {
+        this.#execute();
+      } catch (error) {
+        if (!(error instanceof ThrownValue && this.#catch(error.getValue()))) {
+          throw error;
+        }
+      }
+    }
+
+    return this.#pop();
+  }
+
+  /* Sets the rate at which the update function is called, in updates per
+   * second
+   */
+  setUpdateRate(rate) {
+    this.#updateRate = rate;
+  }
+
+  /* Sets how many instructions the main program or a callback may run */
+  setInstructionBudget(budget) {
+    this.#instructionBudget = budget;
   }
 
   /* Performs a step */
@@ -88,20 +224,17 @@ class VM {
 
   /* Starts running the VM */
   run() {
-    if (this.#updateIntervalID !== -1) {
+    if (this.#frameRequestID !== -1) {
       this.stop();
     }
 
     switchToPauseIcon();
 
     this.setStatus(VMStatus.RUNNING);
-    this.#updateIntervalID = setInterval(
-      this.#multiStep.bind(this),
-      UPDATE_INTERVAL,
-    );
-    this.#drawIntervalID = setInterval(() => {
-      this.#needsDraw = true;
-    }, DRAW_INTERVAL);
+
+    /* Time spent paused doesn't count */
+    this.#lastFrameTime = null;
+    this.#frameRequestID = requestAnimationFrame(this.#frame.bind(this));
 
     printToConsole("Running VM...");
   }
@@ -109,7 +242,7 @@ class VM {
   /* Pauses the VM */
   pause() {
     printToConsole("VM paused!");
-    this.#stopIntervals();
+    this.#cancelFrame();
 
     switchToPlayIcon();
     this.setStatus(VMStatus.PAUSED);
@@ -118,7 +251,7 @@ class VM {
   /* Stops running the VM */
   stop() {
     printToConsole("VM stopped!");
-    this.#stopIntervals();
+    this.#cancelFrame();
 
     switchToPlayIcon();
     this.setStatus(VMStatus.STOPPED);
@@ -155,31 +288,85 @@ class VM {
       /* Pushes a constant to the stack */
       [Opcode.GET_CONST]: () => {
         const idx = this.#next();
-        this.#push(this.#constants[idx]);
+        this.#push(this.#module.constants[idx]);
       },
-      /* Creates a new variable, its value is popped from the stack */
-      [Opcode.DEF_VARIABLE]: () => {
-        const idx = this.#next();
-        const identifier = this.#constants[idx];
+      /* Pushes the value of a global to the stack
+       *   ARG 1: slot of the global
+       */
+      [Opcode.GET_GLOBAL]: () => {
+        const slot = this.#next();
 
-        const value = this.#pop();
-        this.#addIdentifier(identifier, value);
-      },
-      /* Pushes the value of a variable to the stack */
-      [Opcode.GET_VARIABLE]: () => {
-        const idx = this.#next();
-        const identifier = this.#constants[idx];
+        const value = this.#module.globals[slot];
+        if (value === undefined) {
+          const { name } = this.#module.globalInfo[slot];
+          this.#throw(`undefined identifier '${name}'`);
+        }
 
-        const value = this.#getIdentifier(identifier);
         this.#push(value);
       },
-      /* Sets the value of a variable to one popped from the stack */
-      [Opcode.SET_VARIABLE]: () => {
-        const idx = this.#next();
-        const identifier = this.#constants[idx];
+      /* Sets the value of a global to one popped from the stack
+       *   ARG 1: slot of the global
+       */
+      [Opcode.SET_GLOBAL]: () => {
+        const slot = this.#next();
+        if (this.#module.constGlobals.has(slot)) {
+          const { name } = this.#module.globalInfo[slot];
+          this.#throw(`cannot assign to constant '${name}'`);
+        }
+
+        this.#module.globals[slot] = this.#pop();
+      },
+      /* Pushes the value of a local variable (in the current Env) to the stack
+       *   ARG 1: slot of the variable
+       */
+      [Opcode.GET_LOCAL]: () => {
+        const slot = this.#next();
+        this.#push(this.#topEnv().getSlot(slot));
+      },
+      /* Sets the value of a local variable to one popped from the stack
+       *   ARG 1: slot of the variable
+       */
+      [Opcode.SET_LOCAL]: () => {
+        const slot = this.#next();
+        this.#setSlot(this.#topEnv(), slot, this.#pop());
+      },
+      /* Pushes the value of a variable in an enclosing Env to the stack
+       *   ARG 1: how many Envs out the variable is
+       *   ARG 2: slot of the variable
+       */
+      [Opcode.GET_UPVALUE]: () => {
+        const hops = this.#next();
+        const slot = this.#next();
+
+        const env = this.#topEnv().getAncestor(hops);
+        this.#push(env.getSlot(slot));
+      },
+      /* Sets the value of a variable in an enclosing Env to one popped from the
+       * stack
+       *   ARG 1: how many Envs out the variable is
+       *   ARG 2: slot of the variable
+       */
+      [Opcode.SET_UPVALUE]: () => {
+        const hops = this.#next();
+        const slot = this.#next();
 
-        const value = this.#pop();
-        this.#setIdentifier(identifier, value);
+        const env = this.#topEnv().getAncestor(hops);
+        this.#setSlot(env, slot, this.#pop());
+      },
+      /* Declares a constant, setting it to a value popped from the stack
+       *   ARG 1: whether the constant is a global (1) or a local variable (0)
+       *   ARG 2: slot of the constant
+       */
+      [Opcode.SET_CONST]: () => {
+        const isGlobal = this.#next() === 1;
+        const slot = this.#next();
+
+        if (isGlobal) {
+          this.#module.globals[slot] = this.#pop();
+          this.#module.constGlobals.add(slot);
+        } else {
+          this.#topEnv().defineConstant(slot, this.#pop());
+        }
       },
       /* Pushes a true boolean value to the stack */
       [Opcode.TRUE]: () => {
@@ -200,6 +387,14 @@ class VM {
       [Opcode.POP]: () => {
         this.#pop();
       },
+      /* Pushes the size of the stack */
+      [Opcode.STACK_SIZE]: () => {
+        this.#push(new NumberValue(this.#stack.length));
+      },
+      /* Pops a size from the stack, dropping the values past it */
+      [Opcode.RESTORE_STACK]: () => {
+        this.#stack.length = this.#pop().getValue();
+      },
       /* Pops two values from the stack and compares them for equality
        * The result is pushed to the stack
        */
@@ -207,7 +402,7 @@ class VM {
         const b = this.#pop();
         const a = this.#pop();
 
-        this.#push(a.eq(b));
+        this.#push(this.#check(a.eq(b)));
       },
       /* Pops two values from the stack and compares them for inequality
        * The result is pushed to the stack
@@ -216,7 +411,7 @@ class VM {
         const b = this.#pop();
         const a = this.#pop();
 
-        this.#push(a.neq(b));
+        this.#push(this.#check(a.neq(b)));
       },
       /* Pops two values from the stack and checks if one is greater than the
        * other
@@ -227,7 +422,7 @@ class VM {
         const b = this.#pop();
         const a = this.#pop();
 
-        this.#push(a.gt(b));
+        this.#push(this.#check(a.gt(b)));
       },
       /* Pops two values from the stack and checks if one is greater than or
        * equal to the other
@@ -238,7 +433,7 @@ class VM {
         const b = this.#pop();
         const a = this.#pop();
 
-        this.#push(a.gteq(b));
+        this.#push(this.#check(a.gteq(b)));
       },
       /* Pops two values from the stack and checks if one is less than the other
        * The result is pushed to the stack
@@ -247,7 +442,7 @@ class VM {
         const b = this.#pop();
         const a = this.#pop();
 
-        this.#push(a.lt(b));
+        this.#push(this.#check(a.lt(b)));
       },
       /* Pops two values from the stack and checks if one is less than or equal
        * to the other
@@ -258,7 +453,35 @@ class VM {
         const b = this.#pop();
         const a = this.#pop();
 
-        this.#push(a.lteq(b));
+        this.#push(this.#check(a.lteq(b)));
+      },
+      /* Compares a chain of values
+       *   ARG 1: comparison opcode (EQUAL, LESS, etc.)
+       *   ARG 2: number of values
+       *
+       * Values are popped from the stack, and every one of them is compared
+       * with the next. If all comparisons are true, true is pushed to the stack
+       */
+      [Opcode.COMPARE_CHAIN]: () => {
+        const op = this.#next();
+        const count = this.#next();
+
+        const values = Array(count);
+        for (let i = count - 1; i >= 0; --i) {
+          values[i] = this.#pop();
+        }
+
+        for (let i = 0; i < count - 1; ++i) {
+          const result = this.#check(
+            this.#compare(op, values[i], values[i + 1]),
+          );
+          if (result.getValue() === false) {
+            this.#push(result);
+            return;
+          }
+        }
+
+        this.#push(new BoolValue(true));
       },
       /* Pops two values from the stack and adds them together
        * The result is pushed to the stack
@@ -267,7 +490,7 @@ class VM {
         const b = this.#pop();
         const a = this.#pop();
 
-        this.#push(a.add(b));
+        this.#push(this.#check(a.add(b)));
       },
       /* Pops two values from the stack and subtracts one from the other
        * The result is pushed to the stack
@@ -276,7 +499,7 @@ class VM {
         const b = this.#pop();
         const a = this.#pop();
 
-        this.#push(a.sub(b));
+        this.#push(this.#check(a.sub(b)));
       },
       /* Pops two values from the stack and multiplies them
        * The result is pushed to the stack
@@ -285,7 +508,7 @@ class VM {
         const b = this.#pop();
         const a = this.#pop();
 
-        this.#push(a.mul(b));
+        this.#push(this.#check(a.mul(b)));
       },
       /* Pops two values from the stack and divides one by the other
        * The result is pushed to the stack
@@ -294,7 +517,7 @@ class VM {
         const b = this.#pop();
         const a = this.#pop();
 
-        this.#push(a.div(b));
+        this.#push(this.#check(a.div(b)));
       },
       /* Pops two values from the stack and floor-divides one by the other
        * The result is pushed to the stack
@@ -303,7 +526,7 @@ class VM {
         const b = this.#pop();
         const a = this.#pop();
 
-        this.#push(a.fdiv(b));
+        this.#push(this.#check(a.fdiv(b)));
       },
       /* Pops two values from the stack and gets the module of one by the other
        * The result is pushed to the stack
@@ -312,65 +535,176 @@ class VM {
         const b = this.#pop();
         const a = this.#pop();
 
-        this.#push(a.mod(b));
+        this.#push(this.#check(a.mod(b)));
       },
-      /* Pops two values from the stack and checks if either is true
+      /* Pops two values from the stack and performs a bitwise AND on them
        * The result is pushed to the stack
        */
-      [Opcode.OR]: () => {
+      [Opcode.BIT_AND]: () => {
         const b = this.#pop();
         const a = this.#pop();
 
-        const aTruthy = a.truthy();
-        if (aTruthy.getValue() === true) {
-          this.#push(aTruthy);
-          return;
-        }
+        this.#push(this.#check(a.bitAnd(b)));
+      },
+      /* Pops two values from the stack and performs a bitwise OR on them
+       * The result is pushed to the stack
+       */
+      [Opcode.BIT_OR]: () => {
+        const b = this.#pop();
+        const a = this.#pop();
 
-        this.#push(b.truthy());
+        this.#push(this.#check(a.bitOr(b)));
       },
-      /* Pops two values from the stack and checks if both are true
+      /* Pops two values from the stack and performs a bitwise XOR on them
        * The result is pushed to the stack
        */
-      [Opcode.AND]: () => {
+      [Opcode.BIT_XOR]: () => {
         const b = this.#pop();
         const a = this.#pop();
 
-        const aTruthy = a.truthy();
-        if (aTruthy.getValue() === false) {
-          this.#push(aTruthy);
-          return;
-        }
+        this.#push(this.#check(a.bitXor(b)));
+      },
+      /* Pops a value from the stack and performs a bitwise NOT on it (~VALUE)
+       * The result is pushed to the stack
+       */
+      [Opcode.BIT_NOT]: () => {
+        const a = this.#pop();
+        this.#push(this.#check(a.bitNot()));
+      },
+      /* Pops two values from the stack and shifts the bits of one to the left
+       * by the other
+       *
+       * The result is pushed to the stack
+       */
+      [Opcode.SHIFT_LEFT]: () => {
+        const b = this.#pop();
+        const a = this.#pop();
 
-        this.#push(b.truthy());
+        this.#push(this.#check(a.shiftLeft(b)));
+      },
+      /* Pops two values from the stack and shifts the bits of one to the right
+       * by the other
+       *
+       * The result is pushed to the stack
+       */
+      [Opcode.SHIFT_RIGHT]: () => {
+        const b = this.#pop();
+        const a = this.#pop();
+
+        this.#push(this.#check(a.shiftRight(b)));
       },
       /* Pops a value from the stack and negates it (-VALUE)
        * The result is pushed to the stack
        */
       [Opcode.NEGATE]: () => {
         const a = this.#pop();
-        this.#push(a.negate());
+        this.#push(this.#check(a.negate()));
       },
       /* Pops a value from the stack and NOTs them (!VALUE)
        * The result is pushed to the stack
        */
       [Opcode.NOT]: () => {
         const a = this.#pop();
-        this.#push(a.not());
+        this.#push(this.#check(a.not()));
       },
       /* Moves the program counter by a signed offset (forwards or backwards) */
       [Opcode.JUMP]: () => {
         const offset = this.#next();
         this.#fp += offset;
       },
+      /* Starts a try block, by adding a handler to the current frame
+       *   ARG 1: signed offset to the handler code
+       *
+       * If a value is thrown before the try block ends, the stack and Env are
+       * restored to how they are now, and the handler code runs with the thrown
+       * value on top of the stack
+       */
+      [Opcode.TRY]: () => {
+        const offset = this.#next();
+
+        const frame = this.#frames[this.#frameIdx];
+        frame.handlers.push({
+          fp: this.#fp + offset,
+          stackSize: this.#stack.length,
+          env: this.#topEnv(),
+        });
+      },
+      /* Ends try blocks, removing their handlers from the current frame
+       *   ARG 1: number of try blocks to end
+       */
+      [Opcode.END_TRY]: () => {
+        const count = this.#next();
+
+        const frame = this.#frames[this.#frameIdx];
+        frame.handlers.length -= count;
+      },
+      /* Throws a value popped from the stack
+       *
+       * Errors which don't have a position yet get the position of the throw
+       */
+      [Opcode.THROW]: () => {
+        let value = this.#pop();
+
+        const [line, char] = this.#getPosition();
+        if (value.getType() !== ValueType.ERROR) {
+          throw new ThrownValue(
+            value,
+            `at ${line}:${char}: uncaught ${value.repr()}`,
+          );
+        }
+
+        if (value.getPosition() === null) {
+          value = new ErrorValue(value.getMessage(), [line, char]);
+        }
+
+        throw new ThrownValue(value, value.toString());
+      },
+      /* Moves the program counter backwards, to the start of a loop
+       *   ARG 1: signed offset
+       *
+       * Runaway code spends its time in loops, so this is where the instruction
+       * budget is enforced
+       */
+      [Opcode.LOOP]: () => {
+        const offset = this.#next();
+        this.#fp += offset;
+
+        if (this.#instructionCount > this.#instructionBudget) {
+          this.#exceededBudget();
+        }
+      },
       /* Moves the program counter by a signed offset (forwards or backwards)
-       * if the value at the top of the stack is false
+       * if the value popped from the top of the stack is falsy
        */
       [Opcode.JUMP_IF_FALSE]: () => {
         const offset = this.#next();
 
-        const condition = this.#pop().not();
-        if (condition.getValue()) {
+        const condition = this.#check(this.#pop().truthy());
+        if (condition.getValue() === false) {
+          this.#fp += offset;
+        }
+      },
+      /* Moves the program counter by a signed offset (forwards or backwards)
+       * if the value popped from the top of the stack is truthy
+       */
+      [Opcode.JUMP_IF_TRUE]: () => {
+        const offset = this.#next();
+
+        const condition = this.#check(this.#pop().truthy());
+        if (condition.getValue() === true) {
+          this.#fp += offset;
+        }
+      },
+      /* Moves the program counter by a signed offset if an argument was
+       * passed for a function parameter, skipping the code of its default value
+       *   ARG 1: slot of the parameter
+       *   ARG 2: signed offset
+       */
+      [Opcode.JUMP_IF_PASSED]: () => {
+        const slot = this.#next();
+        const offset = this.#next();
+
+        if (this.#topEnv().getSlot(slot) !== undefined) {
           this.#fp += offset;
         }
       },
@@ -382,68 +716,85 @@ class VM {
        *   ARG 1: number of function arguments
        *   ARG 2: function name (index of constant with function name)
        *
-       * Arguments are popped from the stack
+       * The function is popped from the stack, followed by its arguments
        */
       [Opcode.CALL]: () => {
         const argCount = this.#next();
 
         const idx = this.#next();
-        const identifier = this.#constants[idx];
-        const fn = this.#getIdentifier(identifier);
-
-        /* Since native functions don't run in the VM, we treat them as a special case */
-        if (fn.getType() === ValueType.NATIVE_FUNCTION) {
-          const args = Array(argCount);
-          for (let i = argCount - 1; i >= 0; --i) {
-            args[i] = this.#pop();
-          }
+        const identifier = this.#module.constants[idx];
+        const fn = this.#pop();
 
-          const value = fn.getValue();
+        this.#call(fn, argCount, identifier);
+      },
+      /* Calls a value
+       *   ARG 1: number of function arguments
+       *
+       * Arguments are popped from the stack, followed by the value being called
+       */
+      [Opcode.CALL_VALUE]: () => {
+        const argCount = this.#next();
 
-          const returnValue = value(...args);
-          if (returnValue !== undefined) {
-            this.#push(returnValue);
-          }
+        const [fn] = this.#stack.splice(this.#stack.length - argCount - 1, 1);
+        this.#call(fn, argCount);
+      },
+      /* Calls a function whose result is returned right away, reusing the
+       * current frame (see #call)
+       *   ARG 1: number of function arguments
+       *   ARG 2: function name (index of constant with function name)
+       *
+       * Tail calls can recurse forever without piling up frames, so the
+       * instruction budget is enforced here too
+       */
+      [Opcode.TAIL_CALL]: () => {
+        const argCount = this.#next();
 
-          return;
-        }
+        const idx = this.#next();
+        const identifier = this.#module.constants[idx];
+        const fn = this.#pop();
 
-        /* Check if arguments match */
-        if (fn.getArity() !== argCount) {
-          return;
+        if (this.#instructionCount > this.#instructionBudget) {
+          this.#exceededBudget();
         }
 
-        const localEnv = new Env();
+        this.#call(fn, argCount, identifier, true);
+      },
+      /* Calls a value whose result is returned right away, reusing the current
+       * frame (see TAIL_CALL)
+       *   ARG 1: number of function arguments
+       */
+      [Opcode.TAIL_CALL_VALUE]: () => {
+        const argCount = this.#next();
 
-        const args = fn.getArgs();
-        for (let i = 0; i < args.length; ++i) {
-          const arg = args[i];
-          const value = this.#pop();
-          localEnv.setIdentifier(arg, value);
-        }
+        const [fn] = this.#stack.splice(this.#stack.length - argCount - 1, 1);
 
-        this.#pushEnv(localEnv);
+        if (this.#instructionCount > this.#instructionBudget) {
+          this.#exceededBudget();
+        }
 
-        const frame = fn.getValue();
-        this.#pushFrame(frame);
+        this.#call(fn, argCount, fn.toString(), true);
       },
       /* Returns from a function
        * Outside of functions, ends the program
        */
       [Opcode.RETURN]: () => {
         if (this.#frameIdx === 0) {
-          this.stop();
+          this.#endMain();
           return;
         }
 
-        const returnValue = this.#pop();
-        this.#fp = this.#pop();
-
-        this.#frames.pop();
-        --this.#frameIdx;
+        const { isModule } = this.#frames[this.#frameIdx];
 
-        this.#push(returnValue);
+        const returnValue = this.#pop();
+        this.#popFrame();
         this.#popEnv();
+
+        /* Callbacks called by the game loop have nowhere to return to, and
+         * modules go back to the op importing them (which runs again)
+         */
+        if (!this.#isIdle() && !isModule) {
+          this.#push(returnValue);
+        }
       },
       /* Accesses a member/index B of A, both popped from the stack
        * The result is pushed to the stack
@@ -452,7 +803,17 @@ class VM {
         const b = this.#pop();
         const a = this.#pop();
 
-        this.#push(a.dot(b));
+        this.#push(this.#check(a.dot(b)));
+      },
+      /* Pops a value C, a key B and a value A from the stack, assigning C to
+       * A's member/index B. C is pushed back to the stack
+       */
+      [Opcode.SET_DOT]: () => {
+        const c = this.#pop();
+        const b = this.#pop();
+        const a = this.#pop();
+
+        this.#push(this.#check(a.setDot(b, c)));
       },
       /* Pops two values from the stack and check if A is of type B
        * The result is pushed to the stack
@@ -461,16 +822,167 @@ class VM {
         const b = this.#pop();
         const a = this.#pop();
 
-        this.#push(a.is(b));
+        this.#push(this.#check(a.is(b)));
       },
-      /* Imports a module/library/whatever */
+      /* Imports a library or a project file, pushing its module to the stack
+       *   ARG 1: module name (index of constant with the name)
+       *   ARG 2: whether the names in the module are imported into the globals
+       *          of the code importing it (1) or not (0)
+       *
+       * Project files are run the first time they're imported, after which
+       * this op runs again
+       */
       [Opcode.IMPORT]: () => {
         const modIdx = this.#next();
-        const modIdent = this.#constants[modIdx];
-        const mod = this.#libraries[modIdent];
+        const modIdent = this.#module.constants[modIdx];
+        const importNames = this.#next() === 1;
+
+        let mod = null;
+        if (this.#modules.has(modIdent)) {
+          const module = this.#modules.get(modIdent);
+          if (module.value === null) {
+            this.#runModule(module);
+            return;
+          }
+
+          mod = this.#exportModule(module);
+        } else if (modIdent in this.#libraries) {
+          const library = this.#libraries[modIdent];
+          mod = new ModuleValue(modIdent, library);
+
+          /* However its names are imported, the game loop clears the screen */
+          if (library.hasIdentifier("clear")) {
+            this.#clear = library.getIdentifier("clear");
+          }
+        } else {
+          this.#throw(`unknown module '${modIdent}'`);
+        }
+
+        /* Only globals the program uses have a slot, so those are the only ones
+         * worth importing. Globals the program declares itself aren't replaced
+         */
+        const env = mod.getValue();
+        for (const { name, slot, isDeclared } of this.#module.globalInfo) {
+          if (!importNames || !env.hasIdentifier(name)) {
+            continue;
+          }
+
+          if (isDeclared) {
+            this.#throw(
+              `cannot import '${name}' from '${modIdent}', as it's already declared`,
+            );
+          }
+
+          this.#module.globals[slot] = env.getIdentifier(name);
+          this.#module.constGlobals.add(slot);
+        }
+
+        this.#push(mod);
+      },
+      /* Creates an array
+       *   ARG 1: number of elements
+       *
+       * Elements are popped from the stack, and the array is pushed to it
+       */
+      [Opcode.BUILD_ARRAY]: () => {
+        const count = this.#next();
+
+        const elements = Array(count);
+        for (let i = count - 1; i >= 0; --i) {
+          elements[i] = this.#pop();
+        }
 
-        const targetEnv = this.#envs[this.#envs.length - 1];
-        targetEnv.addFromEnv(mod);
+        this.#push(new ArrayValue(elements));
+      },
+      /* Creates a list
+       *   ARG 1: number of elements
+       *
+       * Elements are popped from the stack, and the list is pushed to it
+       */
+      [Opcode.BUILD_LIST]: () => {
+        const count = this.#next();
+
+        const elements = Array(count);
+        for (let i = count - 1; i >= 0; --i) {
+          elements[i] = this.#pop();
+        }
+
+        this.#push(new ListValue(elements));
+      },
+      /* Creates a dictionary
+       *   ARG 1: number of key-value pairs
+       *
+       * Pairs are popped from the stack, and the dictionary is pushed to it
+       */
+      [Opcode.BUILD_DICT]: () => {
+        const count = this.#next();
+
+        const pairs = Array(count);
+        for (let i = count - 1; i >= 0; --i) {
+          const value = this.#pop();
+          const key = this.#pop();
+          pairs[i] = [key, value];
+        }
+
+        const dict = new DictValue(new Map());
+        for (const [key, value] of pairs) {
+          this.#check(dict.set(key, value));
+        }
+
+        this.#push(dict);
+      },
+      /* Creates a closure from a function constant, capturing the current Env
+       * The closure is pushed to the stack
+       */
+      [Opcode.CLOSURE]: () => {
+        const idx = this.#next();
+        const fn = this.#module.constants[idx];
+
+        this.#push(fn.bind(this.#topEnv(), this.#module));
+      },
+      /* Creates a string by concatenating values
+       *   ARG 1: number of values
+       *
+       * Values are popped from the stack and converted to strings, and the
+       * resulting string is pushed to it
+       */
+      [Opcode.BUILD_STRING]: () => {
+        const count = this.#next();
+
+        const parts = Array(count);
+        for (let i = count - 1; i >= 0; --i) {
+          parts[i] = this.#pop().toString();
+        }
+
+        this.#push(new StringValue(parts.join("")));
+      },
+      /* Enters a block scope: a new Env, enclosed by the current one */
+      [Opcode.PUSH_SCOPE]: () => {
+        this.#envs[this.#envs.length - 1] = new Env(this.#topEnv());
+      },
+      /* Leaves block scopes, going back to the Env enclosing them
+       *   ARG 1: number of scopes to leave
+       */
+      [Opcode.POP_SCOPE]: () => {
+        let env = this.#topEnv();
+        for (let count = this.#next(); count > 0; --count) {
+          env = env.getParent();
+        }
+
+        this.#envs[this.#envs.length - 1] = env;
+      },
+      /* Pops a collection from the stack, and pushes an array of the values it
+       * iterates over (elements of an array, keys of a dict, characters of a
+       * string)
+       */
+      [Opcode.ITER]: () => {
+        const a = this.#pop();
+        this.#push(this.#check(a.iter()));
+      },
+      /* Pops a value from the stack, and pushes its length */
+      [Opcode.LEN]: () => {
+        const a = this.#pop();
+        this.#push(this.#check(a.len()));
       },
     };
 
@@ -479,14 +991,55 @@ class VM {
     });
   }
 
-  /* Initializes the global environment
-   * It contains all the global functions and variables accessible to the user
+  /* Compares two values using the method matching a comparison opcode */
+  #compare(op, a, b) {
+    switch (op) {
+      case Opcode.EQUAL:
+        return a.eq(b);
+      case Opcode.NOT_EQUAL:
+        return a.neq(b);
+      case Opcode.GREATER:
+        return a.gt(b);
+      case Opcode.GREATER_EQUAL:
+        return a.gteq(b);
+      case Opcode.LESS:
+        return a.lt(b);
+      case Opcode.LESS_EQUAL:
+        return a.lteq(b);
+    }
+  }
+
+  /* Returns the value which should be picked out of a list of values, used for
+   * min and max. *replaces(a, b)* tells if b should be picked over a
+   */
+  #pick(name, args, replaces) {
+    if (args.length === 0) {
+      return new ErrorValue(`${name} expects at least 1 argument`);
+    }
+
+    let picked = args[0];
+    for (let i = 1; i < args.length; ++i) {
+      const replace = replaces(picked, args[i]);
+      if (replace.getType() === ValueType.ERROR) {
+        return replace;
+      }
+
+      if (replace.getValue() === true) {
+        picked = args[i];
+      }
+    }
+
+    return picked;
+  }
+
+  /* Initializes the built-ins
+   * They're all the global functions and variables accessible to the user
    */
-  #initGlobalEnv() {
-    const globalEnv = new Env();
+  #initBuiltins() {
+    const builtinEnv = new Env();
 
     /* Types */
-    globalEnv.addFromObject({
+    builtinEnv.addFromObject({
       bool: new TypeValue(ValueType.BOOL, (value) => {
         return value.truthy();
       }),
@@ -496,7 +1049,12 @@ class VM {
           case ValueType.BOOL:
             return new NumberValue(v ? 1 : 0);
           case ValueType.STRING:
-            return new NumberValue(v.parseInt(10));
+            const n = Number(v);
+            if (v.trim() === "" || Number.isNaN(n)) {
+              return new ErrorValue(`cannot cast "${v}" to number`);
+            }
+
+            return new NumberValue(n);
         }
 
         return new ErrorValue(`cannot cast ${value} to number`);
@@ -507,6 +1065,7 @@ class VM {
           case ValueType.BOOL:
             return new StringValue(v ? "true" : "false");
           case ValueType.NUMBER:
+          case ValueType.SYMBOL:
             return new StringValue(v.toString());
         }
 
@@ -515,74 +1074,391 @@ class VM {
       function: new TypeValue(ValueType.FUNCTION, (value) => {
         return new ErrorValue(`cannot cast ${value} to function`);
       }),
-    });
+      array: new TypeValue(ValueType.ARRAY, (value) => {
+        const arr = value.iter();
+        if (arr.getType() === ValueType.ERROR) {
+          return new ErrorValue(`cannot cast ${value} to array`);
+        }
 
-    /* Functions */
-    globalEnv.addFromObject({
-      __needs_update: new NativeFunctionValue(() => {
-        if (this.#needsUpdate === true) {
-          this.#needsUpdate = false;
-          return new BoolValue(true);
+        return arr;
+      }),
+      dict: new TypeValue(ValueType.DICT, (value) => {
+        return new ErrorValue(`cannot cast ${value} to dict`);
+      }),
+      error: new TypeValue(ValueType.ERROR, (value) => {
+        return new ErrorValue(`cannot cast ${value} to error`);
+      }),
+      module: new TypeValue(ValueType.MODULE, (value) => {
+        return new ErrorValue(`cannot cast ${value} to module`);
+      }),
+      symbol: new TypeValue(ValueType.SYMBOL, (value) => {
+        if (value.getType() === ValueType.STRING) {
+          return new SymbolValue(value.getValue());
         }
 
-        return new BoolValue(false);
-      }, 0),
-      __needs_draw: new NativeFunctionValue(() => {
-        if (this.#needsDraw === true) {
-          this.#needsDraw = false;
-          return new BoolValue(true);
+        return new ErrorValue(`cannot cast ${value} to symbol`);
+      }),
+      list: new TypeValue(ValueType.LIST, (value) => {
+        const arr = value.iter();
+        if (arr.getType() === ValueType.ERROR) {
+          return new ErrorValue(`cannot cast ${value} to list`);
         }
 
-        return new BoolValue(false);
+        return new ListValue([...arr.getValue()]);
+      }),
+      struct: new TypeValue(ValueType.STRUCT, (value) => {
+        return new ErrorValue(`cannot cast ${value} to struct`);
+      }),
+    });
+
+    /* Functions
+     *
+     * The kernel only calls update and draw if the program defines them
+     */
+    builtinEnv.addFromObject({
+      min: new NativeFunctionValue((...args) => {
+        return this.#pick("min", args, (a, b) => b.lt(a));
+      }, -1),
+      max: new NativeFunctionValue((...args) => {
+        return this.#pick("max", args, (a, b) => b.gt(a));
+      }, -1),
+      len: new NativeFunctionValue((value) => {
+        return value.len();
+      }, 1),
+      /* Makes a new symbol, which can't be written in code (and so can't
+       * collide with names used there), for macros to name their variables
+       */
+      gensym: new NativeFunctionValue(() => {
+        return new SymbolValue(`#g${++this.#gensymCount}`);
       }, 0),
       print: new NativeFunctionValue((...args) => {
         const str = args.join(" ");
 
         printToConsole(str);
       }, -1),
+      set_update_rate: new NativeFunctionValue((rate) => {
+        if (rate.getType() !== ValueType.NUMBER || !(rate.getValue() > 0)) {
+          return new ErrorValue(
+            `update rate must be a positive number, not ${rate.repr()}`,
+          );
+        }
+
+        this.setUpdateRate(rate.getValue());
+      }, 1),
+      set_instruction_budget: new NativeFunctionValue((budget) => {
+        if (budget.getType() !== ValueType.NUMBER || !(budget.getValue() > 0)) {
+          return new ErrorValue(
+            `instruction budget must be a positive number, not ${budget.repr()}`,
+          );
+        }
+
+        this.setInstructionBudget(budget.getValue());
+      }, 1),
     });
 
-    this.#envs = [globalEnv];
+    /* Game loop timing (see #setTimeGlobals) */
+    builtinEnv.addFromObject({
+      delta_time: new NumberValue(0),
+      frame_count: new NumberValue(0),
+      elapsed_time: new NumberValue(0),
+    });
+
+    this.#builtins = builtinEnv;
+  }
+
+  /* Creates a module (the main program, or a project file) from its compiler
+   *
+   * Each module has its own constants and globals: their values, by slot, and
+   * the compiler's info on them (their names, and whether they're constants or
+   * declared by the module at all.) Globals named after a built-in start out
+   * with its value (and so built-ins can be shadowed by declaring a global with
+   * the same name)
+   *
+   * Its value, holding the names it exports, is created when it's first run
+   */
+  #createModule(compiler) {
+    const globals = compiler.getGlobals();
+
+    return {
+      name: compiler.getName(),
+      code: compiler.getOpcodes(),
+      lines: compiler.getLines(),
+      constants: compiler.getConstants(),
+      exports: compiler.getExports(),
+      globals: globals.map(({ name }) => this.#builtins.getIdentifier(name)),
+      globalInfo: globals,
+      globalSlots: new Map(globals.map(({ name, slot }) => [name, slot])),
+      constGlobals: new Set(),
+      value: null,
+      isExported: false,
+    };
+  }
+
+  /* Runs the code of a module in an Env of its own, returning to the op
+   * importing it (see the IMPORT op)
+   */
+  #runModule(module) {
+    module.value = new ModuleValue(module.name, new Env());
+
+    this.#fp = this.#opFp;
+    this.#pushEnv(new Env());
+    this.#pushFrame(
+      `<${module.name}>`,
+      module.code,
+      module.lines,
+      module,
+      true,
+    );
   }
 
-  #stopIntervals() {
-    if (this.#updateIntervalID !== -1) {
-      clearInterval(this.#updateIntervalID);
-      this.#updateIntervalID = -1;
+  /* Returns the value of a module which has run, adding the values of the
+   * names it exports to it the first time
+   */
+  #exportModule(module) {
+    if (!module.isExported) {
+      const env = module.value.getValue();
+      for (const name of module.exports) {
+        const slot = module.globalSlots.get(name);
+        env.setIdentifier(name, module.globals[slot]);
+      }
+
+      module.isExported = true;
     }
 
-    if (this.#drawIntervalID !== -1) {
-      clearInterval(this.#drawIntervalID);
-      this.#drawIntervalID = -1;
+    return module.value;
+  }
+
+  /* Cancels the next frame of the game loop, if one was requested */
+  #cancelFrame() {
+    if (this.#frameRequestID !== -1) {
+      cancelAnimationFrame(this.#frameRequestID);
+      this.#frameRequestID = -1;
     }
   }
 
-  /* Performs a bunch of steps at once
+  /* Runs a frame of the game loop
    *
-   * TODO: figure out what's a reasonable number to use here. Should allow for
-   * fast code execution, but also without slowing down the browser...
-   * This function is called every UPDATE_INTERVAL ms, so it should also not
-   * run for longer than that
+   * Called by requestAnimationFrame with the current time, in milliseconds.
+   * Whatever was running when the last frame ended (e.g. the main program, if
+   * it was just loaded) runs to completion, followed by the callbacks of this
+   * frame
    */
-  #multiStep() {
-    this.#needsUpdate = true;
-    for (let i = 0; i < 160; ++i) {
+  #frame(time) {
+    this.#frameRequestID = requestAnimationFrame(this.#frame.bind(this));
+
+    let delta = 0;
+    if (this.#lastFrameTime !== null) {
+      delta = Math.min((time - this.#lastFrameTime) / 1000, MAX_FRAME_TIME);
+    }
+    this.#lastFrameTime = time;
+
+    this.#queueFrame(delta);
+
+    while (this.#callbacks.length > 0 || !this.#isIdle()) {
+      if (!this.isRunning()) {
+        return;
+      }
+
       this.#step();
     }
   }
 
+  /* Queues the callbacks of a frame which took *delta* seconds: update, as many
+   * times as fit in the time accumulated so far (so that it runs at a fixed
+   * rate, catching up if frames take too long,) then clear and draw
+   */
+  #queueFrame(delta) {
+    const step = 1 / this.#updateRate;
+
+    this.#elapsedTime += delta;
+    this.#accumulator += delta;
+    while (this.#accumulator >= step) {
+      this.#queueCallback("update", step);
+      this.#accumulator -= step;
+    }
+
+    this.#queueCallback("clear", delta);
+    this.#queueCallback("draw", delta);
+    ++this.#frameCount;
+  }
+
+  /* Queues a callback, along with the timing values it should see */
+  #queueCallback(name, delta) {
+    this.#callbacks.push({
+      name: name,
+      deltaTime: delta,
+      frameCount: this.#frameCount,
+      elapsedTime: this.#elapsedTime,
+    });
+  }
+
+  /* Calls the next queued callback which is defined, if any
+   *
+   * If the queue is empty (which only happens when stepping through the game
+   * loop manually,) the callbacks of a frame are queued first
+   */
+  #callNextCallback() {
+    if (this.#callbacks.length === 0) {
+      this.#queueFrame(1 / this.#updateRate);
+    }
+
+    while (this.#callbacks.length > 0) {
+      const callback = this.#callbacks.shift();
+      const fn = this.#callbackFunction(callback.name);
+      if (fn === null) {
+        continue;
+      }
+
+      this.#setTimeGlobals(callback);
+
+      this.#runningName = callback.name;
+      this.#instructionCount = 0;
+
+      this.#call(fn, 0, callback.name);
+
+      /* Native functions return right away, and their result is discarded */
+      if (this.#isIdle()) {
+        this.#pop();
+      }
+
+      return;
+    }
+  }
+
+  /* Returns the function the game loop calls back by a name (or null, if
+   * there's none): clear is the library's, and the others are globals of the
+   * main program
+   */
+  #callbackFunction(name) {
+    if (name === "clear") {
+      return this.#clear;
+    }
+
+    if (!this.#hasGlobal(name)) {
+      return null;
+    }
+
+    const { globals, globalSlots } = this.#main;
+    return globals[globalSlots.get(name)];
+  }
+
+  /* Sets the delta_time, frame_count and elapsed_time globals of every module
+   *
+   * Globals the user declared with those names are left alone
+   */
+  #setTimeGlobals({ deltaTime, frameCount, elapsedTime }) {
+    const values = {
+      delta_time: deltaTime,
+      frame_count: frameCount,
+      elapsed_time: elapsedTime,
+    };
+
+    for (const module of [this.#main, ...this.#modules.values()]) {
+      for (const [name, value] of Object.entries(values)) {
+        const slot = module.globalSlots.get(name);
+        if (slot !== undefined && !module.globalInfo[slot].isDeclared) {
+          module.globals[slot] = new NumberValue(value);
+        }
+      }
+    }
+  }
+
+  /* Ends the main program. Games (programs with an update or draw function)
+   * then carry on in the game loop; anything else stops
+   */
+  #endMain() {
+    this.#mainDone = true;
+
+    if (!this.#hasGlobal("update") && !this.#hasGlobal("draw")) {
+      this.stop();
+    }
+  }
+
+  /* Aborts the main program or the current callback, which ran for longer than
+   * its instruction budget allows, from the loop it's stuck in
+   */
+  #exceededBudget() {
+    const [line, char] = this.#getPosition();
+    throw new Error(
+      `${this.#runningName} exceeded ${this.#instructionBudget} instructions (possible infinite loop) at ${line}:${char}`,
+    );
+  }
+
+  /* Checks if the main program is done, and no callback is running */
+  #isIdle() {
+    return this.#mainDone && this.#frameIdx === 0;
+  }
+
+  /* Checks if a global of the main program is defined */
+  #hasGlobal(name) {
+    const { globals, globalSlots } = this.#main;
+    const slot = globalSlots.get(name);
+    return slot !== undefined && globals[slot] !== undefined;
+  }
+
   /* Executes a step (fetches op, runs it) */
   #step() {
-    const op = this.#next();
-
     try {
-      const fn = this.#handlers[op];
-      fn();
+      if (this.#isIdle()) {
+        this.#callNextCallback();
+        return;
+      }
+
+      this.#execute();
     } catch (error) {
+      if (error instanceof ThrownValue && this.#catch(error.getValue())) {
+        return;
+      }
+
       this.stop();
       printToConsole(error);
       console.log(error);
+
+      for (const line of this.#traceback()) {
+        printToConsole(line);
+      }
+    }
+  }
+
+  /* Fetches the next op and runs it */
+  #execute() {
+    ++this.#instructionCount;
+
+    this.#opFp = this.#fp;
+    const op = this.#next();
+
+    const fn = this.#handlers[op];
+    fn();
+  }
+
+  /* Returns the call stack as a list of lines, from the innermost frame to the
+   * outermost one, e.g.:
+   *   in collide at 88:5
+   *   called from move_enemy at 42:3
+   *   called from update at 10:3
+   */
+  #traceback() {
+    const lines = [];
+
+    let position = this.#getPosition();
+    for (let i = this.#frameIdx; i >= 0 && position !== null; --i) {
+      const frame = this.#frames[i];
+      const [line, char] = position;
+
+      const prefix = i === this.#frameIdx ? "in" : "called from";
+      const file =
+        frame.module === this.#main ? "" : ` (${frame.module.name}.gl)`;
+      lines.push(`  ${prefix} ${frame.name} at ${line}:${char}${file}`);
+
+      position = frame.callPosition;
+    }
+
+    if (lines.length > MAX_TRACEBACK_LINES) {
+      const skipped = lines.length - MAX_TRACEBACK_LINES;
+      lines.splice(MAX_TRACEBACK_LINES / 2, skipped, `  ... ${skipped} more`);
     }
+
+    return lines;
   }
 
   /* Peeks the top value in the stack */
@@ -592,10 +1468,6 @@ class VM {
 
   /* Pushes a value to the stack */
   #push(value) {
-    if (this.#stack.length === 65536) {
-      return;
-    }
-
     this.#stack.push(value);
   }
 
@@ -606,10 +1478,6 @@ class VM {
 
   /* Pushes a new env to the Env stack */
   #pushEnv(env) {
-    if (this.#envs.length === 256) {
-      return;
-    }
-
     this.#envs.push(env);
   }
 
@@ -618,69 +1486,222 @@ class VM {
     this.#envs.pop();
   }
 
-  /* Pushes a new frame */
-  #pushFrame(frame) {
-    this.#push(this.#fp);
+  /* Pushes a new frame
+   *
+   * Frames keep track of where to return to, and of the size of the stack when
+   * they were entered, so that anything left over can be discarded on return.
+   * The name of the function and the position it was called from are kept for
+   * tracebacks, and the handlers of the try blocks it's in are kept for
+   * unwinding (see #catch.) Code runs with the constants and globals of the
+   * module it belongs to
+   */
+  #pushFrame(name, code, lines, module, isModule = false) {
+    /* The main program and callbacks called by the game loop weren't called
+     * from anywhere
+     */
+    let callPosition = null;
+    if (this.#frameIdx >= 0 && !this.#isIdle()) {
+      callPosition = this.#getPosition();
+    }
 
-    this.#frames.push(frame);
+    this.#frames.push({
+      name: name,
+      code: code,
+      lines: lines,
+      module: module,
+      isModule: isModule,
+      callPosition: callPosition,
+      returnFp: this.#fp,
+      stackSize: this.#stack.length,
+      handlers: [],
+    });
     ++this.#frameIdx;
 
     this.#fp = 0;
+    this.#module = module;
+  }
+
+  /* Pops the topmost frame, returning to the code that called it */
+  #popFrame() {
+    const frame = this.#frames.pop();
+    --this.#frameIdx;
+
+    this.#fp = frame.returnFp;
+    this.#stack.length = frame.stackSize;
+    this.#module = this.#frames[this.#frameIdx].module;
   }
 
-  /* Adds an identifier to the top Env
-   * TODO: error checking
+  /* Calls a value with arguments popped from the stack, pushing the result
+   *
+   * User functions run in the VM, so they get a new frame (and the result is
+   * only pushed once they return,) unless it's a tail call: then they take over
+   * the current frame and Env, returning to wherever the caller would have.
+   * Anything else is called through its *call* method, which errors for values
+   * that aren't callable
    */
-  #addIdentifier(k, v) {
-    const localEnvIdx = this.#envs.length - 1;
-    const localEnv = this.#envs[localEnvIdx];
-    if (localEnv.hasIdentifier(k)) {
-      // return this.#createError(`identifier ${k} already exists in local scope`);
+  #call(fn, argCount, name = fn.toString(), isTail = false) {
+    const args = Array(argCount);
+    for (let i = argCount - 1; i >= 0; --i) {
+      args[i] = this.#pop();
+    }
+
+    /* Check if arguments match */
+    const type = fn.getType();
+    if (type === ValueType.FUNCTION) {
+      const [min, max] = fn.getArgRange();
+      if (argCount < min || argCount > max) {
+        let expected = `${min}`;
+        if (max === Infinity) {
+          expected = `at least ${min}`;
+        } else if (max !== min) {
+          expected = `${min} to ${max}`;
+        }
+
+        this.#throw(
+          `error calling ${name} (expected ${expected} arguments, received ${argCount})`,
+        );
+      }
+    } else if (type === ValueType.NATIVE_FUNCTION) {
+      const arity = fn.getArity();
+      if (arity !== -1 && arity !== argCount) {
+        this.#throw(
+          `error calling ${name} (expected ${arity} arguments, received ${argCount})`,
+        );
+      }
+    }
+
+    if (type !== ValueType.FUNCTION) {
+      const returnValue = fn.call(args) ?? new UndefinedValue();
+      this.#push(this.#check(returnValue));
+      return;
+    }
+
+    /* Functions run in a new Env, enclosed by the one they were defined in
+     *
+     * Slots of optional parameters left out stay empty, for the function to
+     * fill with their default values (see JUMP_IF_PASSED)
+     */
+    const localEnv = new Env(fn.getEnv());
+
+    if (fn.hasRest()) {
+      const restSlot = fn.getArgs().length - 1;
+      const rest = args.splice(restSlot);
+      localEnv.setSlot(restSlot, new ArrayValue(rest));
+    }
+
+    args.forEach((arg, i) => localEnv.setSlot(i, arg));
+
+    if (isTail) {
+      this.#envs[this.#envs.length - 1] = localEnv;
+      this.#replaceFrame(fn);
       return;
     }
 
-    localEnv.setIdentifier(k, v);
+    const depth = this.#frameIdx + 1;
+    if (depth === MAX_CALL_DEPTH) {
+      this.#throw(`stack overflow at depth ${depth} in ${fn.getName()}`);
+    }
+
+    this.#pushEnv(localEnv);
+    this.#pushFrame(fn.getName(), fn.getValue(), fn.getLines(), fn.getModule());
   }
 
-  /* Sets the value of an identifier in the top Env */
-  #setIdentifier(k, v) {
-    let envIdx = this.#findIdentifier(k);
-    if (envIdx === -1) {
-      envIdx = this.#envs.length - 1;
+  /* Replaces the topmost frame with one running a function, for tail calls
+   *
+   * Anything the replaced function left on the stack is discarded. Tracebacks
+   * only show the function called last
+   */
+  #replaceFrame(fn) {
+    const frame = this.#frames[this.#frameIdx];
+    frame.name = fn.getName();
+    frame.code = fn.getValue();
+    frame.lines = fn.getLines();
+    frame.module = fn.getModule();
+
+    this.#stack.length = frame.stackSize;
+    this.#fp = 0;
+    this.#module = frame.module;
+  }
+
+  /* Returns the Env code is currently running in */
+  #topEnv() {
+    return this.#envs[this.#envs.length - 1];
+  }
+
+  /* Sets the value in a slot of an Env, unless it holds a constant */
+  #setSlot(env, slot, v) {
+    if (env.isConstant(slot)) {
+      this.#throw("cannot assign to a constant");
     }
 
-    const env = this.#envs[envIdx];
-    env.setIdentifier(k, v);
+    env.setSlot(slot, v);
   }
 
-  /* Gets the value of an identifier in the top Env
-   * TODO: error checking
+  /* Returns the [line, char] position of the op currently being executed, or
+   * null if it has none (e.g. after a compile error left the code unfinished)
    */
-  #getIdentifier(k) {
-    const envIdx = this.#findIdentifier(k);
-    if (envIdx === -1) {
-      // return this.#createError(`no such identifier ${k}`);
-      return;
+  #getPosition() {
+    const frame = this.#frames[this.#frameIdx];
+    return frame.lines[this.#opFp] ?? null;
+  }
+
+  /* Throws a runtime error at the position of the current op
+   *
+   * Runtime errors are error values, which can be caught by the program
+   */
+  #throw(msg) {
+    const error = new ErrorValue(msg, this.#getPosition());
+    throw new ThrownValue(error, error.toString());
+  }
+
+  /* Throws the result of an operation if it failed
+   *
+   * Operations fail by returning a new error value. Those don't have a position
+   * yet (errors only get one when thrown,) which tells them apart from errors
+   * which were caught and are just being passed around
+   */
+  #check(value) {
+    if (value.getType() === ValueType.ERROR && value.getPosition() === null) {
+      this.#throw(value.getMessage());
     }
 
-    const env = this.#envs[envIdx];
-    return env.getIdentifier(k);
+    return value;
   }
 
-  /* Finds an identifier in the top Env */
-  #findIdentifier(identifier) {
-    for (let i = this.#envs.length - 1; i >= 0; --i) {
-      const env = this.#envs[i];
-      if (env.hasIdentifier(identifier)) {
-        return i;
+  /* Unwinds the stack up to the innermost try block, and jumps to its handler
+   * with the thrown value on top of the stack. Returns false if there's no try
+   * block to catch the value
+   *
+   * Callbacks called by the game loop can't be unwound into the (finished)
+   * main program
+   */
+  #catch(value) {
+    const bottom = this.#mainDone ? 1 : 0;
+    for (let i = this.#frameIdx; i >= bottom; --i) {
+      const handlers = this.#frames[i].handlers;
+      if (handlers.length === 0) {
+        continue;
+      }
+
+      while (this.#frameIdx > i) {
+        this.#popFrame();
+        this.#popEnv();
       }
+
+      const handler = handlers.pop();
+      this.#stack.length = handler.stackSize;
+      this.#envs[this.#envs.length - 1] = handler.env;
+      this.#fp = handler.fp;
+
+      this.#push(value);
+      return true;
     }
 
-    return -1;
+    return false;
   }
 
   /* Fetches the next op */
   #next() {
-    return this.#frames[this.#frameIdx][this.#fp++];
+    return this.#frames[this.#frameIdx].code[this.#fp++];
   }
 }